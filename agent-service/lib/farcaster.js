@@ -1,111 +1,20 @@
-const { Wallet, JsonRpcProvider, randomBytes } = require('ethers');
 const {
   makeCastAdd,
   makeLinkAdd,
   makeLinkRemove,
   NobleEd25519Signer,
-  FarcasterNetwork,
-  Message
+  FarcasterNetwork
 } = require('@farcaster/hub-nodejs');
-const https = require('https');
+const { Wallet } = require('ethers');
+const { createHubClient } = require('farcaster-agent');
 const { getUserByUsername } = require('./neynar');
 
-// Constants
-const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const NEYNAR_HUB_API = 'hub-api.neynar.com';
-const NEYNAR_PAY_TO = '0xA6a8736f18f383f1cc2d938576933E5eA7Df01A1';
-const PAYMENT_AMOUNT = 1000n; // 0.001 USDC
-
-// EIP-712 domain for USDC on Base
-const EIP712_USDC_BASE = {
-  name: 'USD Coin',
-  version: '2',
-  chainId: 8453n,
-  verifyingContract: USDC_BASE
-};
-
-const EIP712_TYPES_TRANSFER = {
-  TransferWithAuthorization: [
-    { name: 'from', type: 'address' },
-    { name: 'to', type: 'address' },
-    { name: 'value', type: 'uint256' },
-    { name: 'validAfter', type: 'uint256' },
-    { name: 'validBefore', type: 'uint256' },
-    { name: 'nonce', type: 'bytes32' }
-  ]
-};
-
 /**
- * Create x402 payment header
+ * Hub client for the agent account, with the transport, payment policy and
+ * spend caps configured as for the CLI (FARCASTER_HUB_TRANSPORT, X402_*)
  */
-async function createX402Header(wallet) {
-  const nonce = '0x' + Buffer.from(randomBytes(32)).toString('hex');
-  const validBefore = BigInt(Math.floor(Date.now() / 1000) + 3600);
-
-  const signature = await wallet.signTypedData(
-    EIP712_USDC_BASE,
-    EIP712_TYPES_TRANSFER,
-    {
-      from: wallet.address,
-      to: NEYNAR_PAY_TO,
-      value: PAYMENT_AMOUNT,
-      validAfter: 0n,
-      validBefore,
-      nonce
-    }
-  );
-
-  return Buffer.from(JSON.stringify({
-    x402Version: 1,
-    scheme: 'exact',
-    network: 'base',
-    payload: {
-      signature,
-      authorization: {
-        from: wallet.address,
-        to: NEYNAR_PAY_TO,
-        value: PAYMENT_AMOUNT.toString(),
-        validAfter: '0',
-        validBefore: validBefore.toString(),
-        nonce
-      }
-    }
-  })).toString('base64');
-}
-
-/**
- * Submit message to Neynar hub with x402 payment
- */
-async function submitToHub(wallet, messageBytes) {
-  const paymentHeader = await createX402Header(wallet);
-
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: NEYNAR_HUB_API,
-      port: 443,
-      path: '/v1/submitMessage',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': messageBytes.length,
-        'X-PAYMENT': paymentHeader
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve({ success: true, data: JSON.parse(data) });
-        } else {
-          resolve({ success: false, status: res.statusCode, error: data });
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(messageBytes);
-    req.end();
-  });
+function createHub(custodyPrivateKey) {
+  return createHubClient({ wallet: new Wallet(custodyPrivateKey) });
 }
 
 /**
@@ -173,8 +82,7 @@ async function parseMentions(text) {
  * @param {string} [options.parentFid] - Parent cast author FID for replies
  */
 async function postCast({ custodyPrivateKey, signerPrivateKey, fid, text, parentHash, parentFid }) {
-  const provider = new JsonRpcProvider('https://mainnet.base.org');
-  const wallet = new Wallet(custodyPrivateKey, provider);
+  const hub = createHub(custodyPrivateKey);
   const signer = new NobleEd25519Signer(Buffer.from(signerPrivateKey, 'hex'));
 
   // Parse mentions from text (except @rish)
@@ -200,7 +108,7 @@ async function postCast({ custodyPrivateKey, signerPrivateKey, fid, text, parent
   // Create the cast message
   const castResult = await makeCastAdd(
     castData,
-    { fid, network: FarcasterNetwork.MAINNET },
+    { fid, network: FarcasterNetwork[hub.network.farcasterNetwork] },
     signer
   );
 
@@ -208,15 +116,8 @@ async function postCast({ custodyPrivateKey, signerPrivateKey, fid, text, parent
     throw new Error(`Failed to create cast: ${castResult.error}`);
   }
 
-  const messageBytes = Buffer.from(Message.encode(castResult.value).finish());
-  const hash = '0x' + Buffer.from(castResult.value.hash).toString('hex');
-
   // Submit to hub
-  const result = await submitToHub(wallet, messageBytes);
-
-  if (!result.success) {
-    throw new Error(`Failed to submit cast: ${result.error}`);
-  }
+  const { hash } = await hub.submit(castResult.value);
 
   return { hash, success: true };
 }
@@ -231,13 +132,12 @@ async function postCast({ custodyPrivateKey, signerPrivateKey, fid, text, parent
  * @param {number} options.targetFid - FID of user to follow
  */
 async function followUser({ custodyPrivateKey, signerPrivateKey, fid, targetFid }) {
-  const provider = new JsonRpcProvider('https://mainnet.base.org');
-  const wallet = new Wallet(custodyPrivateKey, provider);
+  const hub = createHub(custodyPrivateKey);
   const signer = new NobleEd25519Signer(Buffer.from(signerPrivateKey, 'hex'));
 
   const linkResult = await makeLinkAdd(
     { type: 'follow', targetFid: Number(targetFid) },
-    { fid, network: FarcasterNetwork.MAINNET },
+    { fid, network: FarcasterNetwork[hub.network.farcasterNetwork] },
     signer
   );
 
@@ -245,12 +145,7 @@ async function followUser({ custodyPrivateKey, signerPrivateKey, fid, targetFid
     throw new Error(`Failed to create follow: ${linkResult.error}`);
   }
 
-  const messageBytes = Buffer.from(Message.encode(linkResult.value).finish());
-  const result = await submitToHub(wallet, messageBytes);
-
-  if (!result.success) {
-    throw new Error(`Failed to submit follow: ${result.error}`);
-  }
+  await hub.submit(linkResult.value);
 
   return { success: true, targetFid };
 }
@@ -265,13 +160,12 @@ async function followUser({ custodyPrivateKey, signerPrivateKey, fid, targetFid
  * @param {number} options.targetFid - FID of user to unfollow
  */
 async function unfollowUser({ custodyPrivateKey, signerPrivateKey, fid, targetFid }) {
-  const provider = new JsonRpcProvider('https://mainnet.base.org');
-  const wallet = new Wallet(custodyPrivateKey, provider);
+  const hub = createHub(custodyPrivateKey);
   const signer = new NobleEd25519Signer(Buffer.from(signerPrivateKey, 'hex'));
 
   const linkResult = await makeLinkRemove(
     { type: 'follow', targetFid: Number(targetFid) },
-    { fid, network: FarcasterNetwork.MAINNET },
+    { fid, network: FarcasterNetwork[hub.network.farcasterNetwork] },
     signer
   );
 
@@ -279,12 +173,7 @@ async function unfollowUser({ custodyPrivateKey, signerPrivateKey, fid, targetFi
     throw new Error(`Failed to create unfollow: ${linkResult.error}`);
   }
 
-  const messageBytes = Buffer.from(Message.encode(linkResult.value).finish());
-  const result = await submitToHub(wallet, messageBytes);
-
-  if (!result.success) {
-    throw new Error(`Failed to submit unfollow: ${result.error}`);
-  }
+  await hub.submit(linkResult.value);
 
   return { success: true, targetFid };
 }
@@ -1,36 +1,31 @@
-const https = require('https');
+const { httpRequest, HttpError } = require('farcaster-agent');
 
 const NEYNAR_API_KEY = process.env.NEYNAR_API_KEY;
-const NEYNAR_API_BASE = 'api.neynar.com';
+const NEYNAR_API_BASE = 'https://api.neynar.com';
 
 /**
  * Make a GET request to Neynar API
+ *
+ * Resolves with the JSON body whatever the status; connection failures,
+ * timeouts, 429 and 5xx are retried first (see httpRequest). A body that is
+ * not JSON throws an HttpError carrying the status and raw body.
  */
-function neynarGet(path) {
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: NEYNAR_API_BASE,
-      port: 443,
-      path: path,
-      method: 'GET',
-      headers: {
-        'accept': 'application/json',
-        'api_key': NEYNAR_API_KEY
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error(`Failed to parse response: ${data}`));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.end();
+async function neynarGet(path) {
+  const url = new URL(path, NEYNAR_API_BASE);
+  const { status, data } = await httpRequest(url, {
+    headers: {
+      'accept': 'application/json',
+      'api_key': NEYNAR_API_KEY
+    }
   });
+
+  if (typeof data !== 'object' || data === null) {
+    throw new HttpError(`Neynar ${url.pathname} returned a non-JSON response (${status}): ${String(data).slice(0, 200)}`, {
+      url: url.href, method: 'GET', status, data
+    });
+  }
+
+  return data;
 }
 
 /**
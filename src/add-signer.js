@@ -1,6 +1,111 @@
-const { Wallet, JsonRpcProvider, Contract, formatEther } = require('ethers');
+const { Wallet, Contract, formatEther } = require('ethers');
 const crypto = require('crypto');
-const { CONTRACTS, RPC, ABIS, EIP712, EIP712_TYPES } = require('./config');
+const { ABIS, EIP712_TYPES, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt, parseAddEvents } = require('./receipts');
+const { updateCredentials, savePendingSigner } = require('./credentials');
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 private key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Default validity of the SignedKeyRequest: 24 hours
+const KEY_REQUEST_DEADLINE_SECONDS = 86400;
+
+/**
+ * Derive the raw Ed25519 public key (hex) from a raw private key (hex)
+ *
+ * @param {string} signerPrivateKey - Ed25519 private key (hex, with or without 0x)
+ * @returns {string} Public key (hex, no 0x)
+ */
+function deriveSignerPublicKey(signerPrivateKey) {
+  const raw = Buffer.from(signerPrivateKey.replace(/^0x/, ''), 'hex');
+  if (raw.length !== 32) {
+    throw new Error('Signer private key must be 32 bytes');
+  }
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, raw]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKeyDer = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+  return publicKeyDer.slice(-32).toString('hex');
+}
+
+/**
+ * Validate an Ed25519 signer public key and normalize it to bare hex
+ *
+ * @param {string} signerPublicKey - Public key (hex, with or without 0x)
+ * @returns {string} Public key (lowercase hex, no 0x)
+ */
+function normalizeSignerPublicKey(signerPublicKey) {
+  const hex = String(signerPublicKey).replace(/^0x/, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hex)) {
+    throw new Error('Signer public key must be 32 bytes of hex');
+  }
+  return hex;
+}
+
+/**
+ * Generate a new Ed25519 signer keypair
+ *
+ * @returns {{signerPublicKey: string, signerPrivateKey: string}} Raw 32-byte keys (hex, no 0x)
+ */
+function generateSignerKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
+  const privateKeyDer = privateKey.export({ type: 'pkcs8', format: 'der' });
+
+  // Extract raw 32-byte keys from DER format
+  return {
+    signerPublicKey: publicKeyDer.slice(-32).toString('hex'),
+    signerPrivateKey: privateKeyDer.slice(-32).toString('hex')
+  };
+}
+
+/**
+ * Sign a SignedKeyRequest for a key and encode it as KeyGateway metadata
+ *
+ * The requesting app is `requestFid` itself: the custody wallet signs the
+ * request for its own FID.
+ *
+ * @param {Wallet} wallet - Custody wallet of requestFid (must have a provider)
+ * @param {bigint} requestFid - FID requesting the key
+ * @param {string} keyBytes - Signer public key (0x-prefixed hex)
+ * @param {bigint} deadline - Request expiry (unix seconds)
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<string>} Encoded metadata
+ */
+async function encodeSignedKeyRequest(wallet, requestFid, keyBytes, deadline, options = {}) {
+  const network = getNetwork(options);
+  const signature = await wallet.signTypedData(
+    network.eip712.SIGNED_KEY_REQUEST,
+    EIP712_TYPES.SIGNED_KEY_REQUEST,
+    {
+      requestFid,
+      key: keyBytes,
+      deadline
+    }
+  );
+
+  // Use the validator contract to encode metadata properly
+  // This is crucial - manual ABI encoding doesn't work correctly
+  const validator = new Contract(
+    network.contracts.SIGNED_KEY_REQUEST_VALIDATOR,
+    ABIS.SIGNED_KEY_REQUEST_VALIDATOR,
+    wallet.provider
+  );
+
+  return validator.encodeMetadata([
+    requestFid,
+    wallet.address,
+    signature,
+    deadline
+  ]);
+}
 
 /**
  * Add a signer key to an FID using self-signed key request
@@ -9,21 +114,32 @@ const { CONTRACTS, RPC, ABIS, EIP712, EIP712_TYPES } = require('./config');
  * the key request. Since you control the custody address, you can sign the
  * EIP-712 message yourself.
  *
+ * With `signerPublicKey` the key is generated elsewhere (e.g. by a separate
+ * signing process) and its private key never enters this process.
+ *
  * Prerequisites:
  * - FID already registered to the wallet
  * - Small amount of ETH on Optimism for gas
  *
  * @param {string} privateKey - Custody wallet private key
- * @returns {Promise<{signerPublicKey: string, signerPrivateKey: string, txHash: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.signerPublicKey] - Existing Ed25519 public key to add (hex); generated if omitted
+ * @param {bigint|number} [options.keyRequestDeadline] - Key request expiry (unix seconds, default 24 hours from now)
+ * @param {boolean} [options.quiet=false] - Never log private key material
+ * @param {Function} [options.onSignerKey] - Called with {fid, signerPublicKey, signerPrivateKey} for a generated key before the transaction is sent, to persist it (see credentials.js savePendingSigner); if it throws, nothing is sent
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @returns {Promise<{fid: bigint, signerPublicKey: string, signerPrivateKey: string|null, txHash: string}>} signerPrivateKey is null for a supplied public key
  */
-async function addSigner(privateKey) {
-  const provider = new JsonRpcProvider(RPC.OPTIMISM);
+async function addSigner(privateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
   const wallet = new Wallet(privateKey, provider);
 
   console.log('Wallet:', wallet.address);
 
   // Get FID
-  const idRegistry = new Contract(CONTRACTS.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
   const fid = await idRegistry.idOf(wallet.address);
 
   if (fid === 0n) {
@@ -36,99 +152,125 @@ async function addSigner(privateKey) {
   const balance = await provider.getBalance(wallet.address);
   console.log('Balance:', formatEther(balance), 'ETH');
 
-  // Generate Ed25519 keypair for signing casts
-  const { publicKey, privateKey: signerPrivKey } = crypto.generateKeyPairSync('ed25519');
-  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
-  const privateKeyDer = signerPrivKey.export({ type: 'pkcs8', format: 'der' });
-
-  // Extract raw 32-byte keys from DER format
-  const rawPublicKey = publicKeyDer.slice(-32);
-  const rawPrivateKey = privateKeyDer.slice(-32);
-
-  const signerPublicKeyHex = rawPublicKey.toString('hex');
-  const signerPrivateKeyHex = rawPrivateKey.toString('hex');
+  // Use the supplied public key, or generate an Ed25519 keypair for signing casts
+  let signerPublicKeyHex, signerPrivateKeyHex = null;
+  if (options.signerPublicKey) {
+    signerPublicKeyHex = normalizeSignerPublicKey(options.signerPublicKey);
+    console.log('\nUsing supplied signer public key:', signerPublicKeyHex);
+  } else {
+    ({ signerPublicKey: signerPublicKeyHex, signerPrivateKey: signerPrivateKeyHex } = generateSignerKeyPair());
+    console.log('\nGenerated signer keypair:');
+    console.log('Public Key:', signerPublicKeyHex);
+    if (!options.quiet) {
+      console.log('Private Key:', signerPrivateKeyHex);
+    }
+  }
   const keyBytes = '0x' + signerPublicKeyHex;
 
-  console.log('\nGenerated signer keypair:');
-  console.log('Public Key:', signerPublicKeyHex);
-  console.log('Private Key:', signerPrivateKeyHex);
-
   // Create self-signed key request
-  // Deadline: 24 hours from now
-  const deadline = BigInt(Math.floor(Date.now() / 1000) + 86400);
+  const deadline = options.keyRequestDeadline !== undefined
+    ? BigInt(options.keyRequestDeadline)
+    : BigInt(Math.floor(Date.now() / 1000) + KEY_REQUEST_DEADLINE_SECONDS);
 
-  const message = {
-    requestFid: fid,
-    key: keyBytes,
-    deadline
-  };
+  if (deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+    throw new Error('Key request deadline is in the past');
+  }
 
   console.log('\nSigning EIP-712 key request...');
-  const signature = await wallet.signTypedData(
-    EIP712.SIGNED_KEY_REQUEST,
-    EIP712_TYPES.SIGNED_KEY_REQUEST,
-    message
-  );
-
-  // Use the validator contract to encode metadata properly
-  // This is crucial - manual ABI encoding doesn't work correctly
-  const validator = new Contract(
-    CONTRACTS.SIGNED_KEY_REQUEST_VALIDATOR,
-    ABIS.SIGNED_KEY_REQUEST_VALIDATOR,
-    provider
-  );
-
-  const metadata = await validator.encodeMetadata([
-    fid,
-    wallet.address,
-    signature,
-    deadline
-  ]);
+  const metadata = await encodeSignedKeyRequest(wallet, fid, keyBytes, deadline, { network });
 
   console.log('Metadata encoded');
 
+  // Persist a generated key before it can land onchain
+  if (signerPrivateKeyHex && options.onSignerKey) {
+    await options.onSignerKey({ fid, signerPublicKey: signerPublicKeyHex, signerPrivateKey: signerPrivateKeyHex });
+  }
+
   // Add key via KeyGateway
-  const keyGateway = new Contract(CONTRACTS.KEY_GATEWAY, ABIS.KEY_GATEWAY, wallet);
+  const keyGateway = new Contract(network.contracts.KEY_GATEWAY, ABIS.KEY_GATEWAY, wallet);
 
   console.log('Adding signer key...');
-  const tx = await keyGateway.add(
+  const tx = await sendTransaction(keyGateway, 'add', [
     1,        // keyType: ED25519
     keyBytes, // public key
     1,        // metadataType: SignedKeyRequest
-    metadata, // from validator.encodeMetadata
-    { gasLimit: 500000n }
-  );
+    metadata  // from validator.encodeMetadata
+  ], {}, options.gas);
 
   console.log('Transaction:', tx.hash);
   console.log('Waiting for confirmation...');
 
-  await tx.wait();
+  const receipt = await waitForReceipt(tx);
+  const added = parseAddEvents(receipt, { network });
+
+  if (!added.some(k => k.fid === fid && k.key === signerPublicKeyHex)) {
+    throw new Error(`Transaction ${receipt.hash} did not add key ${signerPublicKeyHex} to FID ${fid}`);
+  }
 
   console.log('\nSUCCESS! Signer key added.');
 
   return {
+    fid,
     signerPublicKey: signerPublicKeyHex,
     signerPrivateKey: signerPrivateKeyHex,
-    txHash: tx.hash
+    txHash: receipt.hash
   };
 }
 
 // CLI usage
 if (require.main === module) {
-  const privateKey = process.env.PRIVATE_KEY || process.argv[2];
+  const args = process.argv.slice(2);
+  const privateKey = process.env.PRIVATE_KEY || args.find(a => a.startsWith('0x'));
+  const quiet = args.includes('--quiet');
+  const deadlineIndex = args.indexOf('--deadline');
+  const deadlineSeconds = deadlineIndex !== -1 ? parseInt(args[deadlineIndex + 1]) : null;
 
-  if (!privateKey) {
-    console.log('Usage: PRIVATE_KEY=0x... node add-signer.js');
+  if (!privateKey || Number.isNaN(deadlineSeconds)) {
+    console.log('Usage: PRIVATE_KEY=0x... [SIGNER_PUBLIC_KEY=<hex>] node add-signer.js [--deadline <seconds>] [--quiet]');
+    console.log('\nSIGNER_PUBLIC_KEY adds an existing Ed25519 key instead of generating one.');
+    console.log('--deadline sets how long the key request stays valid (default 86400).');
+    console.log('--quiet never prints private keys; a generated key is saved to the key store instead');
+    console.log('(as pendingSignerPrivateKey before the transaction is sent, then as the signer once confirmed).');
     process.exit(1);
   }
 
-  addSigner(privateKey)
-    .then(({ signerPublicKey, signerPrivateKey, txHash }) => {
+  // With --quiet the generated key is only ever in the key store: save it as pending before sending
+  const onSignerKey = quiet
+    ? ({ fid, signerPublicKey, signerPrivateKey }) => savePendingSigner({
+      fid,
+      custodyAddress: new Wallet(privateKey).address,
+      custodyPrivateKey: privateKey
+    }, { signerPublicKey, signerPrivateKey })
+    : undefined;
+
+  addSigner(privateKey, {
+    signerPublicKey: process.env.SIGNER_PUBLIC_KEY,
+    keyRequestDeadline: deadlineSeconds !== null ? Math.floor(Date.now() / 1000) + deadlineSeconds : undefined,
+    quiet,
+    onSignerKey
+  })
+    .then(({ fid, signerPublicKey, signerPrivateKey, txHash }) => {
       console.log('\n=== Signer Added ===');
+      console.log('FID:', fid.toString());
       console.log('Signer Public Key:', signerPublicKey);
-      console.log('Signer Private Key:', signerPrivateKey);
       console.log('TX:', txHash);
-      console.log('\nSAVE THE SIGNER PRIVATE KEY - you need it to post casts!');
+
+      if (!signerPrivateKey) {
+        return;
+      }
+      if (quiet) {
+        // Keep the rest of the stored entry (fname, history, HD derivation)
+        updateCredentials(fid, {
+          signerPublicKey,
+          signerPrivateKey,
+          pendingSignerPublicKey: null,
+          pendingSignerPrivateKey: null
+        });
+        console.log('Signer key saved to the stored account for FID', fid.toString());
+      } else {
+        console.log('Signer Private Key:', signerPrivateKey);
+        console.log('\nSAVE THE SIGNER PRIVATE KEY - you need it to post casts!');
+      }
     })
     .catch(err => {
       console.error('Error:', err.message);
@@ -136,4 +278,10 @@ if (require.main === module) {
     });
 }
 
-module.exports = { addSigner };
+module.exports = {
+  addSigner,
+  generateSignerKeyPair,
+  encodeSignedKeyRequest,
+  deriveSignerPublicKey,
+  normalizeSignerPublicKey
+};
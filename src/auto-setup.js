@@ -1,39 +1,43 @@
-const { Wallet, JsonRpcProvider, Contract, formatEther, formatUnits, parseEther } = require('ethers');
+const { Wallet, Contract, formatEther, formatUnits, parseEther } = require('ethers');
 const { registerFid } = require('./register-fid');
 const { addSigner } = require('./add-signer');
+const { registerWithSigner, quoteRegisterWithSigner } = require('./register-with-signer');
 const { postCast } = require('./post-cast');
-const { USDC_BASE, ABIS } = require('./config');
-const { saveCredentials, getCredentialsPath } = require('./credentials');
+const { USDC_BASE, ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt } = require('./receipts');
+const { saveCredentials, loadCredentials, getKeyStore } = require('./credentials');
 
 // Chain configurations
 const CHAINS = {
   ethereum: {
     name: 'Ethereum',
-    rpc: 'https://eth.llamarpc.com',
+    rpcs: ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com'],
     chainId: 1,
     usdc: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
   },
   optimism: {
     name: 'Optimism',
-    rpc: 'https://mainnet.optimism.io',
+    rpcs: ['https://mainnet.optimism.io', 'https://optimism-rpc.publicnode.com'],
     chainId: 10,
     usdc: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85'
   },
   base: {
     name: 'Base',
-    rpc: 'https://mainnet.base.org',
+    rpcs: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
     chainId: 8453,
     usdc: USDC_BASE
   },
   arbitrum: {
     name: 'Arbitrum',
-    rpc: 'https://arb1.arbitrum.io/rpc',
+    rpcs: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
     chainId: 42161,
     usdc: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'
   },
   polygon: {
     name: 'Polygon',
-    rpc: 'https://polygon-rpc.com',
+    rpcs: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com'],
     chainId: 137,
     usdc: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359'
   }
@@ -69,6 +73,14 @@ const WETH = {
   arbitrum: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1'
 };
 
+/**
+ * Failover provider for one of the supported chains
+ */
+function chainProvider(chainKey) {
+  const chain = CHAINS[chainKey];
+  return createProvider(chainKey, { urls: chain.rpcs, chainId: chain.chainId });
+}
+
 /**
  * Check balances across all supported chains
  */
@@ -80,7 +92,7 @@ async function checkAllBalances(address) {
 
   for (const [chainKey, chain] of Object.entries(CHAINS)) {
     try {
-      const provider = new JsonRpcProvider(chain.rpc);
+      const provider = chainProvider(chainKey);
       const ethBalance = await provider.getBalance(address);
 
       let usdcBalance = 0n;
@@ -236,12 +248,11 @@ async function executeSwap(wallet, chainKey, tokenIn, tokenOut, amountIn, isEthI
     sqrtPriceLimitX96: 0n
   };
 
-  const tx = await router.exactInputSingle(params, {
-    value: isEthIn ? amountIn : 0n,
-    gasLimit: 300000n
+  const tx = await sendTransaction(router, 'exactInputSingle', [params], {
+    value: isEthIn ? amountIn : 0n
   });
 
-  return tx.wait();
+  return waitForReceipt(tx);
 }
 
 /**
@@ -260,7 +271,7 @@ async function bridgeViaAcross(wallet, fromChain, toChain, amount) {
   const now = Math.floor(Date.now() / 1000);
 
   // For ETH bridging
-  const tx = await spokePool.depositV3(
+  const tx = await sendTransaction(spokePool, 'depositV3', [
     wallet.address, // depositor
     wallet.address, // recipient
     '0x0000000000000000000000000000000000000000', // inputToken (ETH)
@@ -272,105 +283,181 @@ async function bridgeViaAcross(wallet, fromChain, toChain, amount) {
     now,
     now + 3600, // 1 hour fill deadline
     0, // no exclusivity
-    '0x', // no message
-    { value: amount, gasLimit: 200000n }
-  );
+    '0x' // no message
+  ], { value: amount });
+
+  return waitForReceipt(tx);
+}
+
+/**
+ * Load the custody key of a stored account that has no FID yet
+ *
+ * A stored wallet that already owns an FID was set up before, so auto-setup
+ * refuses it instead of spending funds on it again.
+ *
+ * @param {Object} options - credentialsPath, keystore and fid as passed to autoSetup
+ * @param {Object} network - Resolved network profile
+ * @returns {Promise<string>} Custody private key
+ */
+async function loadStoredCustodyKey(options, network) {
+  const storeOptions = { path: options.credentialsPath, keystore: options.keystore };
+  const store = getKeyStore(storeOptions);
+  const stored = loadCredentials({ ...storeOptions, fid: options.fid });
+
+  if (!stored?.custodyPrivateKey) {
+    throw new Error(`No custody private key found in the ${store.name} key store (${store.location}). Pass PRIVATE_KEY.`);
+  }
+
+  const address = new Wallet(stored.custodyPrivateKey).address;
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, createProvider('OPTIMISM', { network }));
+  const fid = await idRegistry.idOf(address);
+
+  if (fid > 0n) {
+    throw new Error(
+      `The stored custody wallet ${address} already owns FID ${fid}, so there is no account to set up. ` +
+      'Use post-cast.js to post with it, or pass PRIVATE_KEY for a new wallet.'
+    );
+  }
 
-  return tx.wait();
+  console.log(`Using the custody key from the ${store.name} key store.`);
+  return stored.custodyPrivateKey;
 }
 
 /**
  * Main auto-setup function
  *
- * @param {string} privateKey - Custody wallet private key
+ * @param {string} [privateKey] - Custody wallet private key; loaded from the key store when omitted
  * @param {string} [castText] - Text for the first cast
  * @param {Object} [options]
  * @param {boolean} [options.save=true] - Save credentials to persistent storage
  * @param {string} [options.credentialsPath] - Custom path for credentials file
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.fid] - Stored account to take the custody key from when privateKey is omitted (defaults to the active account)
+ * @param {string} [options.recoveryAddress] - FID recovery address (defaults to the custody wallet)
+ * @param {boolean} [options.useBundler=true] - Register and add the signer in one Bundler transaction when funds allow
+ * @param {number} [options.extraStorage=0] - Extra storage units to rent with the Bundler
+ * @param {bigint|string} [options.maxPrice] - Abort above this price, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
  */
 async function autoSetup(privateKey, castText = 'gm! this account was created autonomously by an AI agent', options = {}) {
-  const { save = true, credentialsPath } = options;
-  const tempWallet = new Wallet(privateKey);
+  const {
+    save = true,
+    credentialsPath,
+    keystore,
+    recoveryAddress,
+    useBundler = true,
+    extraStorage = 0,
+    maxPrice
+  } = options;
+  const network = getNetwork(options);
   console.log('=== Farcaster Auto-Setup ===\n');
+  if (!privateKey) {
+    privateKey = await loadStoredCustodyKey(options, network);
+  }
+  const tempWallet = new Wallet(privateKey);
   console.log('Wallet:', tempWallet.address);
+  console.log('Network:', network.name);
   console.log('');
 
-  // Step 1: Check all balances
-  console.log('Step 1: Checking balances across chains...\n');
-  const balances = await checkAllBalances(tempWallet.address);
+  // Steps 1-3 move funds between mainnet chains; test networks are funded directly
+  if (network.name === 'mainnet') {
+    // Step 1: Check all balances
+    console.log('Step 1: Checking balances across chains...\n');
+    const balances = await checkAllBalances(tempWallet.address);
 
-  // Step 2: Determine strategy
-  console.log('\nStep 2: Determining funding strategy...\n');
-  const strategy = determineFundingStrategy(balances);
+    // Step 2: Determine strategy
+    console.log('\nStep 2: Determining funding strategy...\n');
+    const strategy = determineFundingStrategy(balances);
 
-  if (strategy.error) {
-    console.log('ERROR:', strategy.error);
-    return { error: strategy.error };
-  }
-
-  console.log('Strategy:');
-  strategy.steps.forEach((step, i) => console.log(`  ${i + 1}. ${step}`));
-  console.log('');
+    if (strategy.error) {
+      console.log('ERROR:', strategy.error);
+      return { error: strategy.error };
+    }
 
-  // Step 3: Execute bridging/swapping if needed
-  if (!strategy.ready) {
-    console.log('Step 3: Executing fund movements...\n');
-
-    if (strategy.source === 'base' && strategy.sourceAsset === 'usdc') {
-      // Swap USDC to ETH on Base, keep some USDC for x402
-      const baseProvider = new JsonRpcProvider(CHAINS.base.rpc);
-      const baseWallet = new Wallet(privateKey, baseProvider);
-
-      const usdcToKeep = 50000n; // Keep 0.05 USDC for x402
-      const usdcToSwap = strategy.amount - usdcToKeep;
-
-      console.log('Swapping', formatUnits(usdcToSwap, 6), 'USDC to ETH on Base...');
-
-      // Approve USDC
-      const usdc = new Contract(USDC_BASE, ABIS.ERC20, baseWallet);
-      const approveTx = await usdc.approve(UNISWAP_ROUTERS.base, usdcToSwap);
-      await approveTx.wait();
-
-      // Swap
-      await executeSwap(baseWallet, 'base', USDC_BASE, WETH.base, usdcToSwap);
-      console.log('Swap complete');
-
-      // Bridge to Optimism
-      const newEthBalance = await baseProvider.getBalance(baseWallet.address);
-      const bridgeAmount = newEthBalance * 80n / 100n; // Bridge 80%
-
-      console.log('Bridging', formatEther(bridgeAmount), 'ETH to Optimism...');
-      await bridgeViaAcross(baseWallet, 'base', 'optimism', bridgeAmount);
-      console.log('Bridge initiated (may take 1-10 minutes)');
-
-      // Wait for bridge
-      console.log('Waiting for bridge to complete...');
-      const opProvider = new JsonRpcProvider(CHAINS.optimism.rpc);
-      let opBalance = 0n;
-      for (let i = 0; i < 60; i++) { // Wait up to 10 minutes
-        await new Promise(r => setTimeout(r, 10000));
-        opBalance = await opProvider.getBalance(tempWallet.address);
-        if (opBalance > parseEther('0.0005')) {
-          console.log('Bridge complete! Optimism balance:', formatEther(opBalance));
-          break;
+    console.log('Strategy:');
+    strategy.steps.forEach((step, i) => console.log(`  ${i + 1}. ${step}`));
+    console.log('');
+
+    // Step 3: Execute bridging/swapping if needed
+    if (!strategy.ready) {
+      console.log('Step 3: Executing fund movements...\n');
+
+      if (strategy.source === 'base' && strategy.sourceAsset === 'usdc') {
+        // Swap USDC to ETH on Base, keep some USDC for x402
+        const baseProvider = chainProvider('base');
+        const baseWallet = new Wallet(privateKey, baseProvider);
+
+        const usdcToKeep = 50000n; // Keep 0.05 USDC for x402
+        const usdcToSwap = strategy.amount - usdcToKeep;
+
+        console.log('Swapping', formatUnits(usdcToSwap, 6), 'USDC to ETH on Base...');
+
+        // Approve USDC
+        const usdc = new Contract(USDC_BASE, ABIS.ERC20, baseWallet);
+        const approveTx = await sendTransaction(usdc, 'approve', [UNISWAP_ROUTERS.base, usdcToSwap]);
+        await waitForReceipt(approveTx);
+
+        // Swap
+        await executeSwap(baseWallet, 'base', USDC_BASE, WETH.base, usdcToSwap);
+        console.log('Swap complete');
+
+        // Bridge to Optimism
+        const newEthBalance = await baseProvider.getBalance(baseWallet.address);
+        const bridgeAmount = newEthBalance * 80n / 100n; // Bridge 80%
+
+        console.log('Bridging', formatEther(bridgeAmount), 'ETH to Optimism...');
+        await bridgeViaAcross(baseWallet, 'base', 'optimism', bridgeAmount);
+        console.log('Bridge initiated (may take 1-10 minutes)');
+
+        // Wait for bridge
+        console.log('Waiting for bridge to complete...');
+        const opProvider = chainProvider('optimism');
+        let opBalance = 0n;
+        for (let i = 0; i < 60; i++) { // Wait up to 10 minutes
+          await new Promise(r => setTimeout(r, 10000));
+          opBalance = await opProvider.getBalance(tempWallet.address);
+          if (opBalance > parseEther('0.0005')) {
+            console.log('Bridge complete! Optimism balance:', formatEther(opBalance));
+            break;
+          }
+          console.log('Waiting... (' + (i + 1) * 10 + 's)');
         }
-        console.log('Waiting... (' + (i + 1) * 10 + 's)');
       }
-    }
 
-    // Similar logic for other source chains...
-    // (Abbreviated for length - would handle ethereum, arbitrum sources similarly)
+      // Similar logic for other source chains...
+      // (Abbreviated for length - would handle ethereum, arbitrum sources similarly)
+    }
+  } else {
+    console.log(`Network ${network.name}: skipping cross-chain funding (Steps 1-3).`);
   }
 
-  // Step 4: Register FID
-  console.log('\nStep 4: Registering FID on Optimism...\n');
-  const { fid } = await registerFid(privateKey);
-  console.log('FID registered:', fid.toString());
+  // Steps 4-5: Register FID and add signer, in one Bundler transaction when affordable
+  let fid, signerPrivateKey, signerPublicKey;
+  const bundle = useBundler
+    ? await quoteRegisterWithSigner(tempWallet.address, { extraStorage, network })
+    : { affordable: false };
+
+  if (bundle.affordable) {
+    console.log('\nStep 4-5: Registering FID and adding signer in one transaction...\n');
+    ({ fid, signerPrivateKey, signerPublicKey } = await registerWithSigner(privateKey, { recoveryAddress, extraStorage, maxPrice, network }));
+    console.log('FID registered with signer:', fid.toString());
+  } else {
+    if (bundle.existingFid > 0n) {
+      console.log(`\nWallet already owns FID ${bundle.existingFid}, adding a signer to it.`);
+    } else if (useBundler) {
+      console.log(`\nBundler price ${formatEther(bundle.price)} ETH not affordable, registering in two steps.`);
+    }
+
+    // Step 4: Register FID
+    console.log('\nStep 4: Registering FID on Optimism...\n');
+    ({ fid } = await registerFid(privateKey, { recoveryAddress, maxPrice, network }));
+    console.log('FID registered:', fid.toString());
 
-  // Step 5: Add signer
-  console.log('\nStep 5: Adding signer key...\n');
-  const { signerPrivateKey, signerPublicKey } = await addSigner(privateKey);
-  console.log('Signer added');
+    // Step 5: Add signer
+    console.log('\nStep 5: Adding signer key...\n');
+    ({ signerPrivateKey, signerPublicKey } = await addSigner(privateKey, { network }));
+    console.log('Signer added');
+  }
 
   // Step 6: Wait for hub sync
   console.log('\nStep 6: Waiting for hub to sync (30 seconds)...\n');
@@ -382,7 +469,8 @@ async function autoSetup(privateKey, castText = 'gm! this account was created au
     privateKey,
     signerPrivateKey,
     fid: Number(fid),
-    text: castText
+    text: castText,
+    network
   });
 
   console.log('\n=== Setup Complete! ===');
@@ -404,8 +492,13 @@ async function autoSetup(privateKey, castText = 'gm! this account was created au
   // Save credentials to persistent storage
   if (save) {
     console.log('\nStep 8: Saving credentials...');
-    const savedPath = saveCredentials(result, { path: credentialsPath });
-    result.credentialsPath = savedPath;
+    const store = getKeyStore({ path: credentialsPath, keystore });
+    if (store.readOnly) {
+      console.log(`The ${store.name} key store is read-only, credentials not saved.`);
+    } else {
+      const savedPath = saveCredentials(result, { path: credentialsPath, keystore });
+      result.credentialsPath = savedPath;
+    }
   }
 
   return result;
@@ -415,12 +508,14 @@ async function autoSetup(privateKey, castText = 'gm! this account was created au
 if (require.main === module) {
   const args = process.argv.slice(2);
   const noSave = args.includes('--no-save');
+  const noBundler = args.includes('--no-bundler');
   const filteredArgs = args.filter(a => !a.startsWith('--'));
 
+  // Without a key, autoSetup loads the custody key of the active account from the configured key store
   const privateKey = process.env.PRIVATE_KEY || filteredArgs[0];
   const castText = filteredArgs[1];
 
-  if (!privateKey) {
+  if (!privateKey && !loadCredentials()?.custodyPrivateKey) {
     console.log('Usage: PRIVATE_KEY=0x... node auto-setup.js ["optional cast text"] [--no-save]');
     console.log('\nThis will:');
     console.log('1. Check balances across Ethereum, Optimism, Base, Arbitrum, Polygon');
@@ -430,12 +525,19 @@ if (require.main === module) {
     console.log('5. Post your first cast');
     console.log('6. Save credentials to persistent storage (default: ~/.openclaw/ or ./credentials.json)');
     console.log('\nOptions:');
-    console.log('  --no-save    Do not save credentials to file');
-    console.log('\nCredentials path:', getCredentialsPath());
+    console.log('  --no-save     Do not save credentials to file');
+    console.log('  --no-bundler  Register and add the signer in two separate transactions');
+    console.log('\nSet RECOVERY_ADDRESS to use a separate FID recovery address (recommended).');
+    console.log('\nWithout PRIVATE_KEY, the custody key of the active stored account is used, as long as that wallet has no FID yet.');
+    console.log('Credentials location:', getKeyStore().location);
     process.exit(1);
   }
 
-  autoSetup(privateKey, castText, { save: !noSave })
+  autoSetup(privateKey, castText, {
+    save: !noSave,
+    recoveryAddress: process.env.RECOVERY_ADDRESS,
+    useBundler: !noBundler
+  })
     .then(result => {
       if (result.error) {
         process.exit(1);
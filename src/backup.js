@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { Wallet } = require('ethers');
+const { encryptVault, decryptVault } = require('./vault');
+const { deriveSignerPublicKey } = require('./add-signer');
+const { getKeyStore } = require('./keystore');
+
+// Backup bundle format identifiers
+const BACKUP_FORMAT = 'farcaster-agent-backup';
+const BACKUP_VERSION = 1;
+
+// Environment variable holding the backup passphrase
+const BACKUP_PASSPHRASE_ENV = 'FARCASTER_BACKUP_PASSPHRASE';
+
+/**
+ * Check that an account's private keys derive its stored public identifiers
+ *
+ * @param {Object} account - Stored account
+ * @returns {string[]} List of problems (empty if valid)
+ */
+function validateAccount(account) {
+  const problems = [];
+
+  if (!account.fid) {
+    problems.push('missing fid');
+  }
+
+  if (account.custodyPrivateKey) {
+    try {
+      const derived = new Wallet(account.custodyPrivateKey).address;
+      if (derived.toLowerCase() !== (account.custodyAddress || '').toLowerCase()) {
+        problems.push(`custody key derives ${derived}, not ${account.custodyAddress}`);
+      }
+    } catch (e) {
+      problems.push(`invalid custody key: ${e.message}`);
+    }
+  }
+
+  if (account.signerPrivateKey) {
+    try {
+      const derived = deriveSignerPublicKey(account.signerPrivateKey);
+      if (derived !== (account.signerPublicKey || '').replace(/^0x/, '').toLowerCase()) {
+        problems.push(`signer key derives ${derived}, not ${account.signerPublicKey}`);
+      }
+    } catch (e) {
+      problems.push(`invalid signer key: ${e.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Export stored accounts to a passphrase-encrypted backup bundle
+ *
+ * Entries are exported exactly as stored: custody keys that are re-derived
+ * from a mnemonic (HD accounts) stay out of the bundle.
+ *
+ * @param {Object} options
+ * @param {string} options.passphrase - Backup passphrase (defaults to FARCASTER_BACKUP_PASSPHRASE)
+ * @param {string} [options.fid] - Export only this FID (defaults to all accounts)
+ * @param {string} [options.output] - Write the bundle to this file
+ * @param {string|Object} [options.keystore] - Key store to export from
+ * @returns {{bundle: Object, count: number, output: string|null}}
+ */
+function exportAccounts(options = {}) {
+  const passphrase = options.passphrase || process.env[BACKUP_PASSPHRASE_ENV];
+  if (!passphrase) {
+    throw new Error(`A passphrase is required to export accounts. Set ${BACKUP_PASSPHRASE_ENV}.`);
+  }
+
+  const store = getKeyStore({ keystore: options.keystore, path: options.path });
+  const data = store.exists() ? store.read() : {};
+  const fids = options.fid
+    ? [options.fid.toString()]
+    : Object.keys(data).filter(k => k !== '_active');
+
+  const accounts = fids.map(fid => {
+    const account = data[fid];
+    if (!account) {
+      throw new Error(`No credentials found for FID ${fid}`);
+    }
+    return account;
+  });
+
+  if (accounts.length === 0) {
+    throw new Error('No accounts to export');
+  }
+
+  const bundle = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    count: accounts.length,
+    vault: encryptVault({ accounts }, passphrase)
+  };
+
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+  }
+
+  return { bundle, count: accounts.length, output: options.output || null };
+}
+
+/**
+ * Import accounts from an encrypted backup bundle
+ *
+ * Every account is validated before anything is written: the custody key
+ * must derive custodyAddress and the signer key must derive signerPublicKey.
+ * Existing entries with a newer (or equal) updatedAt are kept; others are
+ * replaced by the backed-up entry with all its fields.
+ *
+ * @param {Object|string} bundle - Bundle object or path to a bundle file
+ * @param {Object} options
+ * @param {string} options.passphrase - Backup passphrase (defaults to FARCASTER_BACKUP_PASSPHRASE)
+ * @param {string|Object} [options.keystore] - Key store to import into
+ * @returns {{imported: string[], skipped: string[]}}
+ */
+function importAccounts(bundle, options = {}) {
+  const passphrase = options.passphrase || process.env[BACKUP_PASSPHRASE_ENV];
+  if (!passphrase) {
+    throw new Error(`A passphrase is required to import accounts. Set ${BACKUP_PASSPHRASE_ENV}.`);
+  }
+
+  if (typeof bundle === 'string') {
+    bundle = JSON.parse(fs.readFileSync(bundle, 'utf8'));
+  }
+
+  if (!bundle || bundle.format !== BACKUP_FORMAT) {
+    throw new Error('Not a farcaster-agent backup bundle');
+  }
+  if (bundle.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${bundle.version}`);
+  }
+
+  let accounts;
+  try {
+    ({ accounts } = decryptVault(bundle.vault, passphrase));
+  } catch (e) {
+    throw new Error('Failed to decrypt backup bundle (wrong passphrase or corrupted file)');
+  }
+
+  // Validate everything first so a bad bundle imports nothing
+  for (const account of accounts) {
+    const problems = validateAccount(account);
+    if (problems.length > 0) {
+      throw new Error(`Backup entry for FID ${account.fid} is invalid: ${problems.join('; ')}`);
+    }
+  }
+
+  const store = getKeyStore({ keystore: options.keystore, path: options.path });
+  const imported = [];
+  const skipped = [];
+
+  store.update(data => {
+    for (const account of accounts) {
+      const fid = account.fid.toString();
+      const existing = data[fid];
+
+      if (existing && existing.updatedAt && account.updatedAt &&
+          new Date(existing.updatedAt) >= new Date(account.updatedAt)) {
+        skipped.push(fid);
+        continue;
+      }
+
+      data[fid] = { ...account, fid };
+      imported.push(fid);
+    }
+
+    if (!data._active && imported.length > 0) {
+      data._active = imported[0];
+    }
+  });
+
+  return { imported, skipped };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const output = outIndex !== -1 ? args[outIndex + 1] : null;
+  const positional = args.filter((a, i) => !a.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+  const [command, arg] = positional;
+
+  try {
+    if (command === 'export') {
+      const file = output || `farcaster-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      const { count } = exportAccounts({ fid: arg, output: file });
+      console.log(`Exported ${count} account(s) to ${file}`);
+    } else if (command === 'import' && arg) {
+      const { imported, skipped } = importAccounts(arg);
+      console.log(`Imported ${imported.length} account(s)${imported.length ? ': ' + imported.join(', ') : ''}`);
+      if (skipped.length > 0) {
+        console.log(`Kept ${skipped.length} newer local account(s): ${skipped.join(', ')}`);
+      }
+    } else {
+      console.log('Usage:');
+      console.log('  node backup.js export [fid] [--out file]  - Export one account (or all) to an encrypted bundle');
+      console.log('  node backup.js import <file>              - Import accounts from a bundle');
+      console.log(`\nThe bundle passphrase is read from ${BACKUP_PASSPHRASE_ENV}.`);
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  exportAccounts,
+  importAccounts,
+  validateAccount
+};
@@ -0,0 +1,158 @@
+const { registerFid } = require('./register-fid');
+const { addSigner } = require('./add-signer');
+const { sponsorRegisterFid, sponsorAddSigner } = require('./sponsor');
+const { listCredentials, loadCredentials, updateCredentials, savePendingSigner } = require('./credentials');
+const { getMnemonic, deriveCustodyWallet, DEFAULT_BASE_PATH, MNEMONIC_ENV } = require('./derivation');
+
+/**
+ * Provision a single HD-derived account: register the FID and add a signer
+ *
+ * Paid by the sponsor when given, otherwise by the derived wallet itself
+ * (which then needs ETH on Optimism). The generated signer key is passed to
+ * onSignerKey before the add transaction is sent.
+ */
+async function provisionAccount(derived, options, onSignerKey) {
+  const { sponsorPrivateKey, recoveryAddress, maxPrice } = options;
+
+  if (sponsorPrivateKey) {
+    const { fid } = await sponsorRegisterFid(sponsorPrivateKey, derived.privateKey, { recoveryAddress, maxPrice });
+    const { signerPublicKey, signerPrivateKey } = await sponsorAddSigner(sponsorPrivateKey, derived.privateKey, { onSignerKey });
+    return { fid, signerPublicKey, signerPrivateKey };
+  }
+
+  const { fid } = await registerFid(derived.privateKey, { recoveryAddress, maxPrice });
+  const { signerPublicKey, signerPrivateKey } = await addSigner(derived.privateKey, { quiet: true, onSignerKey });
+  return { fid, signerPublicKey, signerPrivateKey };
+}
+
+/**
+ * Provision many agent accounts from one BIP-39 mnemonic
+ *
+ * Custody wallets are derived at `${basePath}/${index}` for each index in
+ * [start, start + count). Every account is saved with its derivation path
+ * and index; the custody key itself is only stored with `storeKeys`, since
+ * loadCredentials re-derives it from FARCASTER_MNEMONIC.
+ *
+ * Accounts whose custody address is already in the key store are skipped,
+ * so an interrupted batch can simply be re-run. A failure on one account
+ * does not stop the batch.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mnemonic] - BIP-39 mnemonic (defaults to FARCASTER_MNEMONIC)
+ * @param {number} [options.count=1] - Number of accounts to provision
+ * @param {number} [options.start=0] - First derivation index
+ * @param {string} [options.basePath] - Derivation path without the index (default m/44'/60'/0'/0)
+ * @param {string} [options.sponsorPrivateKey] - Wallet paying for all registrations (registerFor/addFor)
+ * @param {string} [options.recoveryAddress] - Recovery address for every FID
+ * @param {bigint|string} [options.maxPrice] - Fail accounts whose registration price is above this, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {boolean} [options.storeKeys=false] - Also store the derived custody private keys
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @returns {Promise<Array<{index: number, derivationPath: string, custodyAddress: string, fid: string|null, status: string, error?: string}>>}
+ */
+async function batchProvision(options = {}) {
+  const mnemonic = getMnemonic(options);
+  if (!mnemonic) {
+    throw new Error(`Mnemonic required (options.mnemonic or ${MNEMONIC_ENV})`);
+  }
+
+  const { count = 1, start = 0, basePath, storeKeys = false, keystore } = options;
+  const known = new Map(listCredentials({ keystore }).map(a => [(a.custodyAddress || '').toLowerCase(), a.fid]));
+  const results = [];
+
+  for (let index = start; index < start + count; index++) {
+    const derived = deriveCustodyWallet(mnemonic, index, { basePath });
+    const entry = { index, derivationPath: derived.derivationPath, custodyAddress: derived.address, fid: null };
+
+    console.log(`\n=== Account ${index} (${derived.derivationPath}) ===`);
+    console.log('Custody address:', derived.address);
+
+    const existingFid = known.get(derived.address.toLowerCase());
+    if (existingFid) {
+      console.log('Already provisioned as FID', existingFid);
+      if (!loadCredentials({ fid: existingFid, keystore })?.signerPublicKey) {
+        console.log('No confirmed signer: check pendingSignerPublicKey with signer-inventory.js');
+      }
+      results.push({ ...entry, fid: existingFid, status: 'skipped' });
+      continue;
+    }
+
+    // The account is stored with its key as pending before the key can land onchain
+    const onSignerKey = ({ fid, signerPublicKey, signerPrivateKey }) => savePendingSigner({
+      fid,
+      custodyAddress: derived.address,
+      custodyPrivateKey: storeKeys ? derived.privateKey : null,
+      derivationPath: derived.derivationPath,
+      derivationIndex: index
+    }, { signerPublicKey, signerPrivateKey }, { keystore, activate: false });
+
+    try {
+      const { fid, signerPublicKey, signerPrivateKey } = await provisionAccount(derived, options, onSignerKey);
+
+      updateCredentials(fid, {
+        signerPublicKey,
+        signerPrivateKey,
+        pendingSignerPublicKey: null,
+        pendingSignerPrivateKey: null
+      }, { keystore });
+
+      results.push({ ...entry, fid: fid.toString(), status: 'provisioned' });
+    } catch (e) {
+      console.error(`Account ${index} failed:`, e.message);
+      results.push({ ...entry, status: 'failed', error: e.message });
+    }
+  }
+
+  return results;
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+
+  const positional = args.filter((a, i) => !a.startsWith('--') && !['--start', '--path'].includes(args[i - 1]));
+  const count = parseInt(positional[0] || '0');
+  const mnemonic = getMnemonic();
+
+  if (!mnemonic || !count) {
+    console.log(`Usage: ${MNEMONIC_ENV}="word1 word2 ..." node batch-provision.js <count> [options]`);
+    console.log('\nDerives <count> custody wallets from the mnemonic and registers an FID with a');
+    console.log('signer key for each. Derivation index and path are saved with every account.');
+    console.log('\nOptions:');
+    console.log('  --start <n>        First derivation index (default 0)');
+    console.log(`  --path <base>      Base derivation path (default ${DEFAULT_BASE_PATH})`);
+    console.log('  --store-keys       Also store custody private keys (default: re-derive from the mnemonic)');
+    console.log('\nSPONSOR_PRIVATE_KEY=0x... pays for every account; without it each derived wallet');
+    console.log('needs its own ETH on Optimism. RECOVERY_ADDRESS sets the recovery address.');
+    process.exit(1);
+  }
+
+  batchProvision({
+    mnemonic,
+    count,
+    start: parseInt(flag('--start') || '0'),
+    basePath: flag('--path'),
+    storeKeys: args.includes('--store-keys'),
+    sponsorPrivateKey: process.env.SPONSOR_PRIVATE_KEY,
+    recoveryAddress: process.env.RECOVERY_ADDRESS
+  })
+    .then(results => {
+      console.log('\n=== Batch Complete ===');
+      results.forEach(r => {
+        console.log(`  [${r.index}] ${r.custodyAddress} ${r.status}` +
+          (r.fid ? ` FID ${r.fid}` : '') + (r.error ? `: ${r.error}` : ''));
+      });
+      if (results.some(r => r.status === 'failed')) {
+        process.exit(1);
+      }
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { batchProvision };
@@ -1,41 +1,274 @@
-// Farcaster Contract Addresses (Optimism)
-const CONTRACTS = {
+// Farcaster Contract Addresses (Optimism mainnet)
+const MAINNET_CONTRACTS = {
   ID_GATEWAY: '0x00000000Fc25870C6eD6b6c7E41Fb078b7656f69',
   ID_REGISTRY: '0x00000000Fc6c5F01Fc30151999387Bb99A9f489b',
   KEY_GATEWAY: '0x00000000fC56947c7E7183f8Ca4B62398CaAdf0B',
   KEY_REGISTRY: '0x00000000Fc1237824fb747aBDE0FF18990E59b7e',
   SIGNED_KEY_REQUEST_VALIDATOR: '0x00000000FC700472606ED4fA22623Acf62c60553',
-  BUNDLER: '0x00000000FC04c910A0b5feA33b03E0447AD0B0aA'
+  BUNDLER: '0x00000000FC04c910A0b5feA33b03E0447AD0B0aA',
+  STORAGE_REGISTRY: '0x00000000fcCe7f938e7aE6D3c335bD6a1a7c593D'
 };
 
-// RPC Endpoints
-const RPC = {
-  OPTIMISM: 'https://mainnet.optimism.io',
-  BASE: 'https://mainnet.base.org'
+// Neynar x402 payment recipient and price per API call
+const NEYNAR_PAY_TO = '0xA6a8736f18f383f1cc2d938576933E5eA7Df01A1';
+const NEYNAR_PAYMENT_AMOUNT = 1000n; // 0.001 USDC (6 decimals)
+
+// Network profiles, selected with FARCASTER_NETWORK or the `network` option
+//
+// - mainnet: Optimism + Base mainnet, Neynar hub with x402 payments
+// - testnet: OP Sepolia + Base Sepolia, with a self-run hub. Farcaster has no
+//   canonical testnet deployment: deploy the contracts yourself and set
+//   FARCASTER_CONTRACTS (the addresses of the contracts you use) and
+//   FARCASTER_HUB_URL.
+// - devnet: local anvil forks of Optimism (:8545) and Base (:8546) with a
+//   local hub (:2281), so mainnet contract addresses and chain IDs apply
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    farcasterNetwork: 'MAINNET',
+    rpc: { OPTIMISM: 'https://mainnet.optimism.io', BASE: 'https://mainnet.base.org' },
+    rpcFallbacks: {
+      OPTIMISM: ['https://optimism-rpc.publicnode.com', 'https://optimism.drpc.org'],
+      BASE: ['https://base-rpc.publicnode.com', 'https://base.drpc.org']
+    },
+    chainId: { OPTIMISM: 10, BASE: 8453 },
+    contracts: MAINNET_CONTRACTS,
+    startBlock: 108864739,
+    usdc: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', name: 'USD Coin', version: '2' },
+    fnameUrl: 'https://fnames.farcaster.xyz',
+    hub: {
+      url: 'https://hub-api.neynar.com',
+      apiUrl: 'https://api.neynar.com',
+      payTo: NEYNAR_PAY_TO,
+      paymentAmount: NEYNAR_PAYMENT_AMOUNT,
+      x402Network: 'base'
+    }
+  },
+  testnet: {
+    name: 'testnet',
+    farcasterNetwork: 'TESTNET',
+    rpc: { OPTIMISM: 'https://sepolia.optimism.io', BASE: 'https://sepolia.base.org' },
+    rpcFallbacks: {
+      OPTIMISM: ['https://optimism-sepolia-rpc.publicnode.com'],
+      BASE: ['https://base-sepolia-rpc.publicnode.com']
+    },
+    chainId: { OPTIMISM: 11155420, BASE: 84532 },
+    contracts: null,
+    startBlock: 0,
+    usdc: { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', name: 'USDC', version: '2' },
+    fnameUrl: null,
+    hub: {
+      url: null,
+      apiUrl: null,
+      payTo: NEYNAR_PAY_TO,
+      paymentAmount: NEYNAR_PAYMENT_AMOUNT,
+      x402Network: 'base-sepolia'
+    }
+  },
+  devnet: {
+    name: 'devnet',
+    farcasterNetwork: 'DEVNET',
+    rpc: { OPTIMISM: 'http://127.0.0.1:8545', BASE: 'http://127.0.0.1:8546' },
+    rpcFallbacks: { OPTIMISM: [], BASE: [] },
+    chainId: { OPTIMISM: 10, BASE: 8453 },
+    contracts: MAINNET_CONTRACTS,
+    startBlock: 108864739,
+    usdc: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', name: 'USD Coin', version: '2' },
+    fnameUrl: null,
+    hub: {
+      url: 'http://127.0.0.1:2281',
+      apiUrl: null,
+      payTo: NEYNAR_PAY_TO,
+      paymentAmount: NEYNAR_PAYMENT_AMOUNT,
+      x402Network: 'base'
+    }
+  }
 };
 
+/**
+ * Contract addresses of a profile
+ *
+ * Addresses that are not configured become non-enumerable getters that
+ * throw, so a profile without (some) contracts still serves everything
+ * else and only fails where a missing contract is actually used.
+ */
+function buildContracts(name, contracts) {
+  const result = {};
+
+  for (const key of Object.keys(MAINNET_CONTRACTS)) {
+    if (contracts[key]) {
+      result[key] = contracts[key];
+      continue;
+    }
+    Object.defineProperty(result, key, {
+      get() {
+        throw new Error(
+          `Network "${name}" has no ${key} contract configured. ` +
+          'Set FARCASTER_CONTRACTS to a JSON object with the addresses of your deployment.'
+        );
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Build the EIP-712 domains for a network profile
+ *
+ * The Optimism domains are getters, so a missing contract only throws when
+ * its domain is used.
+ */
+function buildEip712Domains(network) {
+  const optimismDomain = (name, verifyingContract) => ({
+    name,
+    version: '1',
+    chainId: network.chainId.OPTIMISM,
+    verifyingContract
+  });
+
+  return {
+    get SIGNED_KEY_REQUEST() {
+      return optimismDomain('Farcaster SignedKeyRequestValidator', network.contracts.SIGNED_KEY_REQUEST_VALIDATOR);
+    },
+    get ID_GATEWAY() {
+      return optimismDomain('Farcaster IdGateway', network.contracts.ID_GATEWAY);
+    },
+    get KEY_GATEWAY() {
+      return optimismDomain('Farcaster KeyGateway', network.contracts.KEY_GATEWAY);
+    },
+    get ID_REGISTRY() {
+      return optimismDomain('Farcaster IdRegistry', network.contracts.ID_REGISTRY);
+    },
+    USDC_BASE: {
+      name: network.usdc.name,
+      version: network.usdc.version,
+      chainId: network.chainId.BASE,
+      verifyingContract: network.usdc.address
+    }
+  };
+}
+
+/**
+ * Resolve a network profile
+ *
+ * The profile is picked from `options.network` (name or profile object),
+ * then FARCASTER_NETWORK, defaulting to mainnet. Endpoints and contracts can
+ * be overridden with OPTIMISM_RPC_URL, BASE_RPC_URL, FARCASTER_HUB_URL and
+ * FARCASTER_CONTRACTS (JSON object of contract addresses). On profiles
+ * without their own contracts (testnet), reading an address that
+ * FARCASTER_CONTRACTS does not provide throws.
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Profile name (mainnet, testnet, devnet) or profile object
+ * @returns {Object} Network profile with `eip712` domains
+ */
+function getNetwork(options = {}) {
+  if (options.network && typeof options.network === 'object') {
+    return options.network.eip712 ? options.network : { ...options.network, eip712: buildEip712Domains(options.network) };
+  }
+
+  const name = options.network || process.env.FARCASTER_NETWORK || 'mainnet';
+  const base = NETWORKS[name];
+  if (!base) {
+    throw new Error(`Unknown network "${name}". Use one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const env = process.env;
+  let contractOverrides = {};
+  if (env.FARCASTER_CONTRACTS) {
+    try {
+      contractOverrides = JSON.parse(env.FARCASTER_CONTRACTS);
+    } catch (e) {
+      throw new Error(`FARCASTER_CONTRACTS is not valid JSON: ${e.message}`);
+    }
+  }
+
+  const network = {
+    ...base,
+    rpc: {
+      OPTIMISM: env.OPTIMISM_RPC_URL || base.rpc.OPTIMISM,
+      BASE: env.BASE_RPC_URL || base.rpc.BASE
+    },
+    contracts: buildContracts(name, { ...base.contracts, ...contractOverrides }),
+    hub: {
+      ...base.hub,
+      url: env.FARCASTER_HUB_URL || base.hub.url
+    }
+  };
+  network.eip712 = buildEip712Domains(network);
+
+  return network;
+}
+
+// The constants below are mainnet values, kept for existing imports. They
+// ignore FARCASTER_NETWORK and the env overrides; use getNetwork() for the
+// selected network. Nothing here resolves the environment at load time, so
+// a bad network setting only fails the calls that need it.
+const MAINNET = NETWORKS.mainnet;
+
+// Farcaster Contract Addresses (Optimism)
+const CONTRACTS = MAINNET_CONTRACTS;
+
+// First Optimism block to scan for Farcaster contract events
+const START_BLOCK = MAINNET.startBlock;
+
+// RPC Endpoints
+const RPC = MAINNET.rpc;
+
 // Neynar Hub (supports x402 payments)
 const NEYNAR = {
-  HUB_API: 'hub-api.neynar.com',
-  API: 'api.neynar.com',
-  PAY_TO: '0xA6a8736f18f383f1cc2d938576933E5eA7Df01A1',
-  PAYMENT_AMOUNT: 1000n // 0.001 USDC (6 decimals)
+  HUB_API: new URL(MAINNET.hub.url).host,
+  API: new URL(MAINNET.hub.apiUrl).host,
+  PAY_TO: MAINNET.hub.payTo,
+  PAYMENT_AMOUNT: MAINNET.hub.paymentAmount
 };
 
 // USDC on Base (for x402 payments)
-const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const USDC_BASE = MAINNET.usdc.address;
 
 // Contract ABIs
 const ABIS = {
   ID_GATEWAY: [
     'function register(address recovery) payable returns (uint256 fid, uint256 overpayment)',
-    'function price() view returns (uint256)'
+    'function price() view returns (uint256)',
+    'function nonces(address owner) view returns (uint256)',
+    'function registerFor(address to, address recovery, uint256 deadline, bytes sig) payable returns (uint256 fid, uint256 overpayment)'
   ],
   ID_REGISTRY: [
-    'function idOf(address owner) view returns (uint256)'
+    'function idOf(address owner) view returns (uint256)',
+    'function idCounter() view returns (uint256)',
+    'function custodyOf(uint256 fid) view returns (address)',
+    'function recoveryOf(uint256 fid) view returns (address)',
+    'function nonces(address owner) view returns (uint256)',
+    'function changeRecoveryAddress(address recovery) external',
+    'function recover(address from, address to, uint256 deadline, bytes sig) external',
+    'function transfer(address to, uint256 deadline, bytes sig) external',
+    'function transferAndChangeRecovery(address to, address recovery, uint256 deadline, bytes sig) external',
+    'event Register(address indexed to, uint256 indexed id, address recovery)'
+  ],
+  KEY_REGISTRY: [
+    'function keysOf(uint256 fid, uint8 state) view returns (bytes[])',
+    'function keyDataOf(uint256 fid, bytes key) view returns ((uint8 state, uint32 keyType))',
+    'function remove(bytes key) external',
+    'event Add(uint256 indexed fid, uint32 indexed keyType, bytes indexed key, bytes keyBytes, uint8 metadataType, bytes metadata)',
+    'event Remove(uint256 indexed fid, bytes indexed key, bytes keyBytes)',
+    'event AdminReset(uint256 indexed fid, bytes indexed key, bytes keyBytes)'
   ],
   KEY_GATEWAY: [
-    'function add(uint32 keyType, bytes key, uint8 metadataType, bytes metadata) external'
+    'function add(uint32 keyType, bytes key, uint8 metadataType, bytes metadata) external',
+    'function addFor(address fidOwner, uint32 keyType, bytes key, uint8 metadataType, bytes metadata, uint256 deadline, bytes sig) external',
+    'function nonces(address owner) view returns (uint256)'
+  ],
+  BUNDLER: [
+    'function register((address to, address recovery, uint256 deadline, bytes sig) registrationParams, (uint32 keyType, bytes key, uint8 metadataType, bytes metadata, uint256 deadline, bytes sig)[] signerParams, uint256 extraStorage) payable returns (uint256)',
+    'function price(uint256 extraStorage) view returns (uint256)'
+  ],
+  STORAGE_REGISTRY: [
+    'function price(uint256 units) view returns (uint256)',
+    'function unitPrice() view returns (uint256)',
+    'function ethUsdPrice() view returns (uint256)',
+    'function rent(uint256 fid, uint256 units) payable returns (uint256 overpayment)'
   ],
   SIGNED_KEY_REQUEST_VALIDATOR: [
     'function encodeMetadata((uint256 requestFid, address requestSigner, bytes signature, uint256 deadline)) pure returns (bytes)'
@@ -47,22 +280,16 @@ const ABIS = {
   ]
 };
 
-// EIP-712 Domains
-const EIP712 = {
-  SIGNED_KEY_REQUEST: {
-    name: 'Farcaster SignedKeyRequestValidator',
-    version: '1',
-    chainId: 10, // Optimism
-    verifyingContract: CONTRACTS.SIGNED_KEY_REQUEST_VALIDATOR
-  },
-  USDC_BASE: {
-    name: 'USD Coin',
-    version: '2',
-    chainId: 8453, // Base
-    verifyingContract: USDC_BASE
-  }
+// KeyRegistry key states
+const KEY_STATE = {
+  NULL: 0,
+  ADDED: 1,
+  REMOVED: 2
 };
 
+// EIP-712 Domains
+const EIP712 = buildEip712Domains(MAINNET);
+
 // EIP-712 Types
 const EIP712_TYPES = {
   SIGNED_KEY_REQUEST: {
@@ -72,6 +299,42 @@ const EIP712_TYPES = {
       { name: 'deadline', type: 'uint256' }
     ]
   },
+  REGISTER: {
+    Register: [
+      { name: 'to', type: 'address' },
+      { name: 'recovery', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  ADD: {
+    Add: [
+      { name: 'owner', type: 'address' },
+      { name: 'keyType', type: 'uint32' },
+      { name: 'key', type: 'bytes' },
+      { name: 'metadataType', type: 'uint8' },
+      { name: 'metadata', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  TRANSFER: {
+    Transfer: [
+      { name: 'fid', type: 'uint256' },
+      { name: 'to', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  TRANSFER_AND_CHANGE_RECOVERY: {
+    TransferAndChangeRecovery: [
+      { name: 'fid', type: 'uint256' },
+      { name: 'to', type: 'address' },
+      { name: 'recovery', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
   TRANSFER_WITH_AUTHORIZATION: {
     TransferWithAuthorization: [
       { name: 'from', type: 'address' },
@@ -85,11 +348,15 @@ const EIP712_TYPES = {
 };
 
 module.exports = {
+  NETWORKS,
+  getNetwork,
   CONTRACTS,
+  START_BLOCK,
   RPC,
   NEYNAR,
   USDC_BASE,
   ABIS,
+  KEY_STATE,
   EIP712,
   EIP712_TYPES
 };
@@ -1,22 +1,20 @@
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-
-// Default credential storage locations
-const OPENCLAW_DIR = path.join(os.homedir(), '.openclaw');
-const CREDENTIALS_FILENAME = 'farcaster-credentials.json';
+const { Wallet, Contract } = require('ethers');
+const { ABIS, KEY_STATE, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { getPassphrase, PASSPHRASE_ENV } = require('./vault');
+const { getKeyStore, getCredentialsPath } = require('./keystore');
+const { withDerivedCustodyKey } = require('./derivation');
 
 /**
- * Get the credentials file path
- * Priority: 1) OpenClaw dir if exists, 2) Local ./credentials.json
+ * Check whether the credentials file is an encrypted vault
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Custom path
+ * @returns {boolean}
  */
-function getCredentialsPath() {
-  // If running in OpenClaw environment, use ~/.openclaw/
-  if (fs.existsSync(OPENCLAW_DIR)) {
-    return path.join(OPENCLAW_DIR, CREDENTIALS_FILENAME);
-  }
-  // Otherwise use local directory
-  return path.join(process.cwd(), 'credentials.json');
+function isEncrypted(options = {}) {
+  const store = getKeyStore({ ...options, keystore: 'file' });
+  return store.isEncrypted();
 }
 
 /**
@@ -25,52 +23,52 @@ function getCredentialsPath() {
  * @param {Object} credentials
  * @param {string} credentials.fid - Farcaster ID
  * @param {string} credentials.custodyAddress - Ethereum wallet address
- * @param {string} credentials.custodyPrivateKey - Ethereum wallet private key
+ * @param {string} [credentials.custodyPrivateKey] - Ethereum wallet private key (omit for HD-derived accounts)
  * @param {string} credentials.signerPublicKey - Ed25519 signer public key (hex)
  * @param {string} credentials.signerPrivateKey - Ed25519 signer private key (hex)
  * @param {string} [credentials.fname] - Username if registered
+ * @param {string} [credentials.label] - Short label for the account
+ * @param {string} [credentials.notes] - Free-form notes
+ * @param {string} [credentials.derivationPath] - BIP-32 path the custody key was derived at
+ * @param {number} [credentials.derivationIndex] - Index within the derivation path
  * @param {Object} [options]
  * @param {string} [options.path] - Custom path to save credentials
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase (defaults to FARCASTER_CREDENTIALS_PASSPHRASE)
+ * @param {boolean} [options.activate=true] - Make this the active account
+ * @param {boolean} [options.keepTimestamps=false] - Keep credentials.updatedAt instead of stamping now (for imports)
  */
 function saveCredentials(credentials, options = {}) {
-  const filePath = options.path || getCredentialsPath();
-  const dir = path.dirname(filePath);
-
-  // Create directory if it doesn't exist
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-
-  // Load existing credentials if any (to support multiple accounts)
-  let existing = {};
-  if (fs.existsSync(filePath)) {
-    try {
-      existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    } catch (e) {
-      // File exists but invalid JSON, start fresh
+  const { activate = true, keepTimestamps = false } = options;
+  const store = getKeyStore(options);
+
+  store.update(existing => {
+    // Store by FID for easy lookup (existing entries support multiple accounts)
+    const fid = credentials.fid.toString();
+    const previous = existing[fid] || {};
+    existing[fid] = {
+      fid,
+      custodyAddress: credentials.custodyAddress,
+      custodyPrivateKey: credentials.custodyPrivateKey || null,
+      signerPublicKey: credentials.signerPublicKey,
+      signerPrivateKey: credentials.signerPrivateKey,
+      fname: credentials.fname || null,
+      label: credentials.label || previous.label || null,
+      notes: credentials.notes || previous.notes || null,
+      derivationPath: credentials.derivationPath || previous.derivationPath || null,
+      derivationIndex: credentials.derivationIndex ?? previous.derivationIndex ?? null,
+      createdAt: credentials.createdAt || new Date().toISOString(),
+      updatedAt: (keepTimestamps && credentials.updatedAt) || new Date().toISOString()
+    };
+
+    // Also track the "active" account (most recently created/used)
+    if (activate || !existing._active) {
+      existing._active = fid;
     }
-  }
-
-  // Store by FID for easy lookup
-  const fid = credentials.fid.toString();
-  existing[fid] = {
-    fid,
-    custodyAddress: credentials.custodyAddress,
-    custodyPrivateKey: credentials.custodyPrivateKey,
-    signerPublicKey: credentials.signerPublicKey,
-    signerPrivateKey: credentials.signerPrivateKey,
-    fname: credentials.fname || null,
-    createdAt: credentials.createdAt || new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
+  });
 
-  // Also track the "active" account (most recently created/used)
-  existing._active = fid;
-
-  fs.writeFileSync(filePath, JSON.stringify(existing, null, 2), { mode: 0o600 });
-
-  console.log('Credentials saved to:', filePath);
-  return filePath;
+  console.log(`Credentials saved to ${store.name} key store:`, store.location);
+  return store.location;
 }
 
 /**
@@ -79,32 +77,35 @@ function saveCredentials(credentials, options = {}) {
  * @param {Object} [options]
  * @param {string} [options.fid] - Specific FID to load (defaults to active account)
  * @param {string} [options.path] - Custom path to load credentials from
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
+ * @param {string} [options.mnemonic] - Mnemonic to re-derive custody keys that are not stored (defaults to FARCASTER_MNEMONIC)
  * @returns {Object|null} Credentials object or null if not found
  */
 function loadCredentials(options = {}) {
-  const filePath = options.path || getCredentialsPath();
+  const store = getKeyStore(options);
 
-  if (!fs.existsSync(filePath)) {
+  if (!store.exists()) {
     return null;
   }
 
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = store.read();
 
     // If specific FID requested
     if (options.fid) {
-      return data[options.fid.toString()] || null;
+      return withDerivedCustodyKey(data[options.fid.toString()] || null, options);
     }
 
     // Return active account
     if (data._active && data[data._active]) {
-      return data[data._active];
+      return withDerivedCustodyKey(data[data._active], options);
     }
 
     // No active set, return first account found
     const fids = Object.keys(data).filter(k => k !== '_active');
     if (fids.length > 0) {
-      return data[fids[0]];
+      return withDerivedCustodyKey(data[fids[0]], options);
     }
 
     return null;
@@ -119,31 +120,31 @@ function loadCredentials(options = {}) {
  *
  * @param {Object} [options]
  * @param {string} [options.path] - Custom path to load credentials from
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
  * @returns {Array} Array of account summaries
+ * @throws If the store exists but cannot be read (e.g. a vault without its passphrase), rather than reporting no accounts
  */
 function listCredentials(options = {}) {
-  const filePath = options.path || getCredentialsPath();
+  const store = getKeyStore(options);
 
-  if (!fs.existsSync(filePath)) {
+  if (!store.exists()) {
     return [];
   }
 
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const activeId = data._active;
-
-    return Object.keys(data)
-      .filter(k => k !== '_active')
-      .map(fid => ({
-        fid,
-        fname: data[fid].fname,
-        custodyAddress: data[fid].custodyAddress,
-        isActive: fid === activeId,
-        createdAt: data[fid].createdAt
-      }));
-  } catch (e) {
-    return [];
-  }
+  const data = store.read();
+  const activeId = data._active;
+
+  return Object.keys(data)
+    .filter(k => k !== '_active')
+    .map(fid => ({
+      fid,
+      fname: data[fid].fname,
+      custodyAddress: data[fid].custodyAddress,
+      label: data[fid].label || null,
+      isActive: fid === activeId,
+      createdAt: data[fid].createdAt
+    }));
 }
 
 /**
@@ -152,22 +153,23 @@ function listCredentials(options = {}) {
  * @param {string} fid - FID to set as active
  * @param {Object} [options]
  * @param {string} [options.path] - Custom path
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
  */
 function setActiveAccount(fid, options = {}) {
-  const filePath = options.path || getCredentialsPath();
+  const store = getKeyStore(options);
 
-  if (!fs.existsSync(filePath)) {
+  if (!store.exists()) {
     throw new Error('No credentials file found');
   }
 
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-  if (!data[fid.toString()]) {
-    throw new Error(`No credentials found for FID ${fid}`);
-  }
+  store.update(data => {
+    if (!data[fid.toString()]) {
+      throw new Error(`No credentials found for FID ${fid}`);
+    }
 
-  data._active = fid.toString();
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    data._active = fid.toString();
+  });
 }
 
 /**
@@ -177,62 +179,319 @@ function setActiveAccount(fid, options = {}) {
  * @param {Object} updates - Fields to update
  * @param {Object} [options]
  * @param {string} [options.path] - Custom path
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
  */
 function updateCredentials(fid, updates, options = {}) {
-  const filePath = options.path || getCredentialsPath();
+  const store = getKeyStore(options);
 
-  if (!fs.existsSync(filePath)) {
+  if (!store.exists()) {
     throw new Error('No credentials file found');
   }
 
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  const fidStr = fid.toString();
+  store.update(data => {
+    const fidStr = fid.toString();
 
-  if (!data[fidStr]) {
-    throw new Error(`No credentials found for FID ${fid}`);
+    if (!data[fidStr]) {
+      throw new Error(`No credentials found for FID ${fid}`);
+    }
+
+    data[fidStr] = {
+      ...data[fidStr],
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * Store a generated signer key as pending before it is added onchain
+ *
+ * Called before the add transaction is sent, so a key that lands onchain is
+ * never lost, even when waiting for the receipt fails. Once the addition is
+ * confirmed, callers switch it to signerPublicKey/signerPrivateKey with
+ * updateCredentials. An account that is not stored yet is saved from
+ * `account` first, without a signer.
+ *
+ * @param {Object} account - fid, custodyAddress and any other saveCredentials fields
+ * @param {{signerPublicKey: string, signerPrivateKey: string}} signer - Key about to be added
+ * @param {Object} [options] - See saveCredentials
+ */
+function savePendingSigner(account, signer, options = {}) {
+  const fid = account.fid.toString();
+
+  if (!loadCredentials({ ...options, fid })) {
+    saveCredentials({ ...account, fid, signerPublicKey: null, signerPrivateKey: null }, options);
   }
 
-  data[fidStr] = {
-    ...data[fidStr],
-    ...updates,
-    updatedAt: new Date().toISOString()
-  };
+  updateCredentials(fid, {
+    pendingSignerPublicKey: signer.signerPublicKey,
+    pendingSignerPrivateKey: signer.signerPrivateKey
+  }, options);
+}
+
+/**
+ * Migrate a plaintext credentials file to the encrypted vault format
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Custom path
+ * @param {string} [options.passphrase] - Vault passphrase (defaults to FARCASTER_CREDENTIALS_PASSPHRASE)
+ * @returns {boolean} true if the file was migrated, false if it was already encrypted
+ */
+function migrateCredentials(options = {}) {
+  const store = getKeyStore({ ...options, keystore: 'file' });
+
+  if (!store.exists()) {
+    throw new Error('No credentials file found');
+  }
+
+  if (!getPassphrase(options)) {
+    throw new Error(`A passphrase is required to encrypt credentials. Set ${PASSPHRASE_ENV}.`);
+  }
+
+  if (store.isEncrypted()) {
+    return false;
+  }
+
+  // Rewriting with a passphrase stores the data as a vault
+  store.update(() => {});
+  return true;
+}
+
+/**
+ * Remove a stored account
+ *
+ * If the removed account was active, the first remaining account becomes active.
+ *
+ * @param {string} fid - FID to remove
+ * @param {Object} [options]
+ * @param {string} [options.path] - Custom path
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
+ */
+function removeCredentials(fid, options = {}) {
+  const store = getKeyStore(options);
+
+  if (!store.exists()) {
+    throw new Error('No credentials file found');
+  }
+
+  store.update(data => {
+    const fidStr = fid.toString();
+
+    if (!data[fidStr]) {
+      throw new Error(`No credentials found for FID ${fid}`);
+    }
+
+    delete data[fidStr];
 
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    if (data._active === fidStr) {
+      const remaining = Object.keys(data).filter(k => k !== '_active');
+      if (remaining.length > 0) {
+        data._active = remaining[0];
+      } else {
+        delete data._active;
+      }
+    }
+  });
+}
+
+/**
+ * Return a copy of a credentials object with private keys masked
+ *
+ * @param {Object} credentials - Stored account
+ * @returns {Object}
+ */
+function redactCredentials(credentials) {
+  const redacted = { ...credentials };
+  const secretFields = [
+    'custodyPrivateKey',
+    'previousCustodyPrivateKey',
+    'signerPrivateKey',
+    'pendingSignerPrivateKey'
+  ];
+  for (const field of secretFields) {
+    if (redacted[field]) {
+      redacted[field] = '[redacted]';
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Verify stored accounts against the IdRegistry and KeyRegistry on Optimism
+ *
+ * For each account checks that the custody key matches the stored address,
+ * that the address still owns the stored FID, and that the stored signer
+ * key is still active on the KeyRegistry.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fid] - Only verify this FID
+ * @param {string} [options.path] - Custom path
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string} [options.passphrase] - Vault passphrase
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<Array<{fid: string, ok: boolean, issues: string[]}>>}
+ */
+async function verifyCredentials(options = {}) {
+  const store = getKeyStore(options);
+  const data = store.exists() ? store.read() : {};
+  const fids = options.fid
+    ? [options.fid.toString()]
+    : Object.keys(data).filter(k => k !== '_active');
+
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const keyRegistry = new Contract(network.contracts.KEY_REGISTRY, ABIS.KEY_REGISTRY, provider);
+
+  const results = [];
+
+  for (const fid of fids) {
+    const creds = data[fid];
+    const issues = [];
+
+    if (!creds) {
+      results.push({ fid, ok: false, issues: ['Not found in key store'] });
+      continue;
+    }
+
+    if (creds.custodyPrivateKey) {
+      const derived = new Wallet(creds.custodyPrivateKey).address;
+      if (derived.toLowerCase() !== (creds.custodyAddress || '').toLowerCase()) {
+        issues.push(`Custody key derives ${derived}, not stored address ${creds.custodyAddress}`);
+      }
+    }
+
+    const ownedFid = await idRegistry.idOf(creds.custodyAddress);
+    if (ownedFid.toString() !== fid) {
+      issues.push(ownedFid === 0n
+        ? `Custody address ${creds.custodyAddress} no longer owns an FID`
+        : `Custody address ${creds.custodyAddress} now owns FID ${ownedFid}`);
+    }
+
+    if (!creds.signerPublicKey) {
+      issues.push('No signer key stored');
+    } else {
+      const keyData = await keyRegistry.keyDataOf(fid, '0x' + creds.signerPublicKey.replace(/^0x/, ''));
+      const state = Number(keyData.state);
+      if (state === KEY_STATE.NULL) {
+        issues.push('Signer key was never added to this FID');
+      } else if (state === KEY_STATE.REMOVED) {
+        issues.push('Signer key has been removed from the KeyRegistry');
+      }
+    }
+
+    results.push({ fid, ok: issues.length === 0, issues });
+  }
+
+  return results;
 }
 
 // CLI usage
 if (require.main === module) {
-  const command = process.argv[2];
+  const args = process.argv.slice(2);
+  const showSecrets = args.includes('--show-secrets');
+  const positional = args.filter(a => !a.startsWith('--'));
+  const [command, fid, ...rest] = positional;
 
-  if (command === 'list') {
-    const accounts = listCredentials();
-    if (accounts.length === 0) {
-      console.log('No credentials stored.');
-    } else {
-      console.log('Stored Farcaster accounts:');
-      accounts.forEach(a => {
-        const active = a.isActive ? ' (active)' : '';
-        const fname = a.fname ? `@${a.fname}` : '(no fname)';
-        console.log(`  FID ${a.fid} ${fname}${active}`);
-        console.log(`    Address: ${a.custodyAddress}`);
-      });
+  const run = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      console.error('Error:', e.message);
+      process.exit(1);
     }
+  };
+
+  if (command === 'list') {
+    run(() => {
+      const accounts = listCredentials();
+      if (accounts.length === 0) {
+        console.log('No credentials stored.');
+      } else {
+        console.log('Stored Farcaster accounts:');
+        accounts.forEach(a => {
+          const active = a.isActive ? ' (active)' : '';
+          const fname = a.fname ? `@${a.fname}` : '(no fname)';
+          const label = a.label ? ` [${a.label}]` : '';
+          console.log(`  FID ${a.fid} ${fname}${label}${active}`);
+          console.log(`    Address: ${a.custodyAddress}`);
+        });
+      }
+    });
   } else if (command === 'get') {
-    const fid = process.argv[3];
     const creds = loadCredentials({ fid });
     if (creds) {
-      console.log(JSON.stringify(creds, null, 2));
+      console.log(JSON.stringify(showSecrets ? creds : redactCredentials(creds), null, 2));
+      if (!showSecrets) {
+        console.log('\nPrivate keys redacted. Use --show-secrets to print them.');
+      }
     } else {
       console.log('No credentials found');
     }
+  } else if (command === 'use' && fid) {
+    run(() => {
+      setActiveAccount(fid);
+      console.log(`Active account set to FID ${fid}`);
+    });
+  } else if (command === 'remove' && fid) {
+    run(() => {
+      removeCredentials(fid);
+      console.log(`Removed FID ${fid}`);
+    });
+  } else if (command === 'label' && fid) {
+    run(() => {
+      updateCredentials(fid, { label: rest.join(' ') || null });
+      console.log(`Label updated for FID ${fid}`);
+    });
+  } else if (command === 'note' && fid) {
+    run(() => {
+      updateCredentials(fid, { notes: rest.join(' ') || null });
+      console.log(`Notes updated for FID ${fid}`);
+    });
+  } else if (command === 'verify') {
+    verifyCredentials({ fid })
+      .then(results => {
+        if (results.length === 0) {
+          console.log('No credentials stored.');
+          return;
+        }
+        results.forEach(r => {
+          console.log(`FID ${r.fid}: ${r.ok ? 'OK' : 'STALE'}`);
+          r.issues.forEach(issue => console.log(`  - ${issue}`));
+        });
+        if (results.some(r => !r.ok)) {
+          process.exit(1);
+        }
+      })
+      .catch(err => {
+        console.error('Error:', err.message);
+        process.exit(1);
+      });
   } else if (command === 'path') {
-    console.log(getCredentialsPath());
+    const store = getKeyStore();
+    console.log(store.name === 'file' ? store.location : `${store.name}: ${store.location}`);
+  } else if (command === 'encrypt') {
+    run(() => {
+      const migrated = migrateCredentials();
+      console.log(migrated ? 'Credentials encrypted.' : 'Credentials are already encrypted.');
+    });
   } else {
     console.log('Usage:');
-    console.log('  node credentials.js list          - List all stored accounts');
-    console.log('  node credentials.js get [fid]     - Get credentials for FID (or active)');
-    console.log('  node credentials.js path          - Show credentials file path');
+    console.log('  node credentials.js list                - List all stored accounts');
+    console.log('  node credentials.js get [fid]           - Get credentials for FID (or active), secrets redacted');
+    console.log('  node credentials.js use <fid>           - Switch the active account');
+    console.log('  node credentials.js remove <fid>        - Remove a stored account');
+    console.log('  node credentials.js label <fid> [text]  - Set (or clear) an account label');
+    console.log('  node credentials.js note <fid> [text]   - Set (or clear) account notes');
+    console.log('  node credentials.js verify [fid]        - Check FID and signer against IdRegistry/KeyRegistry');
+    console.log('  node credentials.js path                - Show credentials location');
+    console.log('  node credentials.js encrypt             - Encrypt a plaintext credentials file');
+    console.log('\nOptions:');
+    console.log('  --show-secrets    Print private keys with `get`');
+    console.log(`\nSet ${PASSPHRASE_ENV} to read and write the encrypted vault.`);
+    console.log('Set FARCASTER_KEYSTORE=file|env|memory|command to choose the credential backend.');
   }
 }
 
@@ -242,5 +501,12 @@ module.exports = {
   listCredentials,
   setActiveAccount,
   updateCredentials,
-  getCredentialsPath
+  savePendingSigner,
+  removeCredentials,
+  redactCredentials,
+  verifyCredentials,
+  migrateCredentials,
+  isEncrypted,
+  getCredentialsPath,
+  getKeyStore
 };
@@ -0,0 +1,81 @@
+const { HDNodeWallet, Mnemonic } = require('ethers');
+
+// Environment variable holding the BIP-39 mnemonic for HD-derived accounts
+const MNEMONIC_ENV = 'FARCASTER_MNEMONIC';
+
+// Standard Ethereum account path; the derivation index is appended
+const DEFAULT_BASE_PATH = "m/44'/60'/0'/0";
+
+/**
+ * Resolve the mnemonic from options or the environment
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mnemonic] - Explicit mnemonic
+ * @returns {string|null}
+ */
+function getMnemonic(options = {}) {
+  return options.mnemonic || process.env[MNEMONIC_ENV] || null;
+}
+
+/**
+ * Derive a custody wallet from a BIP-39 mnemonic
+ *
+ * @param {string} mnemonic - BIP-39 mnemonic phrase
+ * @param {number} index - Derivation index
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Derivation path without the index (default m/44'/60'/0'/0)
+ * @returns {{address: string, privateKey: string, derivationPath: string, derivationIndex: number}}
+ */
+function deriveCustodyWallet(mnemonic, index, options = {}) {
+  if (!Mnemonic.isValidMnemonic(mnemonic)) {
+    throw new Error('Invalid BIP-39 mnemonic');
+  }
+
+  const basePath = (options.basePath || DEFAULT_BASE_PATH).replace(/\/$/, '');
+  const derivationPath = `${basePath}/${index}`;
+  const wallet = HDNodeWallet.fromPhrase(mnemonic, undefined, derivationPath);
+
+  return {
+    address: wallet.address,
+    privateKey: wallet.privateKey,
+    derivationPath,
+    derivationIndex: index
+  };
+}
+
+/**
+ * Fill in the custody key of a stored account from its derivation path
+ *
+ * Accounts provisioned from a mnemonic may be stored without their custody
+ * key. The key is only filled in when it re-derives the stored address.
+ *
+ * @param {Object} account - Stored account
+ * @param {Object} [options]
+ * @param {string} [options.mnemonic] - Mnemonic (defaults to FARCASTER_MNEMONIC)
+ * @returns {Object} The account, with custodyPrivateKey set when derivable
+ */
+function withDerivedCustodyKey(account, options = {}) {
+  const mnemonic = getMnemonic(options);
+  if (!account || account.custodyPrivateKey || !account.derivationPath || !mnemonic) {
+    return account;
+  }
+
+  try {
+    const wallet = HDNodeWallet.fromPhrase(mnemonic, undefined, account.derivationPath);
+    if (wallet.address.toLowerCase() === (account.custodyAddress || '').toLowerCase()) {
+      return { ...account, custodyPrivateKey: wallet.privateKey };
+    }
+  } catch (e) {
+    // Invalid mnemonic or path, leave the key unset
+  }
+
+  return account;
+}
+
+module.exports = {
+  MNEMONIC_ENV,
+  DEFAULT_BASE_PATH,
+  getMnemonic,
+  deriveCustodyWallet,
+  withDerivedCustodyKey
+};
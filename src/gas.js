@@ -0,0 +1,99 @@
+const { parseUnits, formatUnits } = require('ethers');
+
+// Extra gas on top of the estimate, in percent
+const DEFAULT_GAS_MARGIN = 20;
+
+/**
+ * Resolve the gas policy from options and the environment
+ *
+ * - GAS_MARGIN_PERCENT: extra gas on top of the estimate (default 20)
+ * - MAX_FEE_GWEI: cap on maxFeePerGas
+ * - MAX_PRIORITY_FEE_GWEI: cap on maxPriorityFeePerGas
+ *
+ * @param {Object} [options]
+ * @param {number} [options.gasMargin] - Extra gas in percent
+ * @param {bigint|string} [options.maxFeePerGas] - Cap in wei (bigint) or gwei (string)
+ * @param {bigint|string} [options.maxPriorityFeePerGas] - Cap in wei (bigint) or gwei (string)
+ * @returns {{gasMargin: number, maxFeePerGas: bigint|null, maxPriorityFeePerGas: bigint|null}}
+ */
+function getGasPolicy(options = {}) {
+  const toWei = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'bigint' ? value : parseUnits(String(value), 'gwei');
+  };
+
+  return {
+    gasMargin: options.gasMargin ?? parseInt(process.env.GAS_MARGIN_PERCENT || DEFAULT_GAS_MARGIN),
+    maxFeePerGas: toWei(options.maxFeePerGas ?? process.env.MAX_FEE_GWEI),
+    maxPriorityFeePerGas: toWei(options.maxPriorityFeePerGas ?? process.env.MAX_PRIORITY_FEE_GWEI)
+  };
+}
+
+/**
+ * Current EIP-1559 fees, clamped to the policy caps
+ *
+ * Throws instead of sending a transaction that could not be included: if the
+ * base fee plus priority fee is already above the max fee cap.
+ *
+ * @param {Provider} provider
+ * @param {Object} policy - From getGasPolicy
+ * @returns {Promise<Object>} Fee overrides (maxFeePerGas/maxPriorityFeePerGas, or gasPrice on legacy chains)
+ */
+async function getFeeOverrides(provider, policy) {
+  const feeData = await provider.getFeeData();
+  const min = (a, b) => (b !== null && b < a ? b : a);
+
+  if (feeData.maxFeePerGas === null) {
+    return { gasPrice: min(feeData.gasPrice, policy.maxFeePerGas) };
+  }
+
+  const block = await provider.getBlock('latest');
+  const baseFee = block.baseFeePerGas || 0n;
+  const maxPriorityFeePerGas = min(feeData.maxPriorityFeePerGas, policy.maxPriorityFeePerGas);
+  const maxFeePerGas = min(feeData.maxFeePerGas, policy.maxFeePerGas);
+
+  if (maxFeePerGas < baseFee + maxPriorityFeePerGas) {
+    throw new Error(`Network base fee ${formatUnits(baseFee, 'gwei')} gwei is above the max fee cap ` +
+      `${formatUnits(maxFeePerGas, 'gwei')} gwei. Retry later or raise MAX_FEE_GWEI.`);
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Simulate, estimate and send a contract transaction
+ *
+ * The call is simulated first so reverts surface with their reason before
+ * any gas is spent, then sent with the estimated gas plus a margin and
+ * EIP-1559 fees capped by the gas policy.
+ *
+ * @param {Contract} contract - Contract connected to a signer
+ * @param {string} method - Contract method name
+ * @param {Array} [args] - Method arguments
+ * @param {Object} [overrides] - Transaction overrides (e.g. value)
+ * @param {Object} [options] - Gas policy (see getGasPolicy)
+ * @returns {Promise<TransactionResponse>}
+ */
+async function sendTransaction(contract, method, args = [], overrides = {}, options = {}) {
+  const policy = getGasPolicy(options);
+  const provider = contract.runner.provider;
+  const fn = contract.getFunction(method);
+
+  try {
+    await fn.staticCall(...args, overrides);
+  } catch (e) {
+    const reason = e.revert ? `${e.revert.name}(${e.revert.args.join(', ')})` : (e.reason || e.shortMessage || e.message);
+    throw new Error(`${method} would revert: ${reason}${e.data && !e.revert ? ` (data ${e.data})` : ''}`);
+  }
+
+  const estimate = await fn.estimateGas(...args, overrides);
+  const gasLimit = estimate * BigInt(100 + policy.gasMargin) / 100n;
+  const fees = await getFeeOverrides(provider, policy);
+
+  console.log(`Gas: ${gasLimit} limit (estimate ${estimate} + ${policy.gasMargin}%)` +
+    (fees.maxFeePerGas ? `, max fee ${formatUnits(fees.maxFeePerGas, 'gwei')} gwei` : ''));
+
+  return fn(...args, { ...overrides, gasLimit, ...fees });
+}
+
+module.exports = { getGasPolicy, getFeeOverrides, sendTransaction };
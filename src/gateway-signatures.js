@@ -0,0 +1,68 @@
+const { Contract } = require('ethers');
+const { ABIS, EIP712_TYPES, getNetwork } = require('./config');
+
+/**
+ * Sign an IdGateway Register message, authorizing someone else to register
+ * an FID to this wallet (registerFor, Bundler)
+ *
+ * @param {Wallet} wallet - Wallet that will own the FID (must have a provider)
+ * @param {string} recovery - Recovery address
+ * @param {bigint} deadline - Signature expiry (unix seconds)
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<string>} Signature
+ */
+async function signRegister(wallet, recovery, deadline, options = {}) {
+  const network = getNetwork(options);
+  const idGateway = new Contract(network.contracts.ID_GATEWAY, ABIS.ID_GATEWAY, wallet.provider);
+  const nonce = await idGateway.nonces(wallet.address);
+
+  return wallet.signTypedData(
+    network.eip712.ID_GATEWAY,
+    EIP712_TYPES.REGISTER,
+    {
+      to: wallet.address,
+      recovery,
+      nonce,
+      deadline
+    }
+  );
+}
+
+/**
+ * Sign a KeyGateway Add message, authorizing someone else to add a key to
+ * this wallet's FID (addFor, Bundler)
+ *
+ * @param {Wallet} wallet - Custody wallet of the FID (must have a provider)
+ * @param {string} keyBytes - Signer public key (0x-prefixed hex)
+ * @param {string} metadata - Encoded SignedKeyRequest metadata
+ * @param {bigint} deadline - Signature expiry (unix seconds)
+ * @param {Object} [options]
+ * @param {bigint} [options.nonce] - KeyGateway nonce (read from chain if omitted)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<string>} Signature
+ */
+async function signAdd(wallet, keyBytes, metadata, deadline, options = {}) {
+  const network = getNetwork(options);
+  let nonce = options.nonce;
+  if (nonce === undefined) {
+    const keyGateway = new Contract(network.contracts.KEY_GATEWAY, ABIS.KEY_GATEWAY, wallet.provider);
+    nonce = await keyGateway.nonces(wallet.address);
+  }
+
+  return wallet.signTypedData(
+    network.eip712.KEY_GATEWAY,
+    EIP712_TYPES.ADD,
+    {
+      owner: wallet.address,
+      keyType: 1,      // ED25519
+      key: keyBytes,
+      metadataType: 1, // SignedKeyRequest
+      metadata,
+      nonce,
+      deadline
+    }
+  );
+}
+
+module.exports = { signRegister, signAdd };
@@ -0,0 +1,212 @@
+const http = require('http');
+const https = require('https');
+
+// Per-attempt timeout, extra attempts after the first, and base backoff between attempts
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF = 500;
+
+// Longest Retry-After honoured; a server asking for more gets its response back instead
+const DEFAULT_MAX_RETRY_AFTER = 30000;
+
+// Methods safe to resend after any failure; a POST the server already
+// applied (e.g. a hub submitMessage or an fname transfer) could be applied twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth another attempt: rate limited or a transient server failure
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Connection failures worth another attempt
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * Error for a request that got no usable response
+ *
+ * `status` and `data` are set when the server answered (null when the
+ * connection failed or timed out), `code` is the Node.js error code or
+ * HTTP_ERROR, and `attempts` counts the requests made.
+ */
+class HttpError extends Error {
+  constructor(message, fields = {}) {
+    super(message, fields.cause ? { cause: fields.cause } : undefined);
+    this.name = 'HttpError';
+    this.url = fields.url || null;
+    this.method = fields.method || null;
+    this.status = fields.status ?? null;
+    this.data = fields.data ?? null;
+    this.code = fields.code || 'HTTP_ERROR';
+    this.attempts = fields.attempts || 1;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date), in ms
+ *
+ * @returns {number|null} null when the header is missing or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a response says the request was not processed, so even a
+ * non-idempotent request can be sent again: 429, or 503 with Retry-After
+ */
+function isUnprocessed(response) {
+  return response.status === 429 || (response.status === 503 && response.headers['retry-after'] !== undefined);
+}
+
+/**
+ * Exponential backoff with jitter: between half and all of backoff * 2^(attempt - 1)
+ */
+function backoffDelay(attempt, backoff) {
+  const base = backoff * 2 ** (attempt - 1);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Send one request, rejecting with an ETIMEDOUT HttpError after `timeout` ms
+ */
+function sendOnce(target, method, headers, body, timeout) {
+  const transport = target.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, { method, headers }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        clearTimeout(timer);
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, data: JSON.parse(data) });
+        } catch {
+          resolve({ status: res.statusCode, headers: res.headers, data });
+        }
+      });
+      res.on('error', (e) => {
+        clearTimeout(timer);
+        reject(e);
+      });
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(new HttpError(`Request timed out after ${timeout}ms`, { code: 'ETIMEDOUT' }));
+    }, timeout);
+
+    req.on('error', (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Make an HTTP(S) request and parse a JSON response when possible
+ *
+ * The protocol, host and port come from the URL; non-2xx statuses resolve
+ * like any other response, so callers decide what counts as a failure.
+ *
+ * Connection errors, timeouts, 429 and 5xx responses are retried with
+ * jittered exponential backoff, waiting as long as Retry-After asks (up to
+ * maxRetryAfter). Once retries run out, a retryable status resolves as the
+ * last response and a connection failure rejects with an HttpError.
+ * Non-idempotent methods (POST, PATCH) are retried by default only on
+ * responses saying the request was not processed (429, or 503 with
+ * Retry-After); connection errors and other 5xx are retried for them only
+ * when the caller passes `retries` explicitly.
+ *
+ * `headers` may be a function of the attempt number (0 for the first),
+ * returning the headers or a promise of them, for requests that must be
+ * re-signed before each attempt.
+ *
+ * @param {string|URL} url - Full request URL
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object|Function} [options.headers]
+ * @param {number} [options.timeout=15000] - Per-attempt timeout (ms)
+ * @param {number} [options.retries=2] - Extra attempts after the first (0 disables retries)
+ * @param {number} [options.backoff=500] - Base backoff (ms), doubled each attempt
+ * @param {number} [options.maxRetryAfter=30000] - Longest Retry-After to wait for (ms)
+ * @param {Function} [options.onAttempt] - Called after each attempt with {attempt, status, error}
+ * @param {Buffer|string} [body]
+ * @returns {Promise<{status: number, headers: Object, data: any}>} data is parsed JSON, or the raw text
+ */
+async function httpRequest(url, options = {}, body = null) {
+  const target = new URL(url);
+  const method = options.method || 'GET';
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const retryAny = options.retries !== undefined || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+  const backoff = options.backoff ?? DEFAULT_BACKOFF;
+  const maxRetryAfter = options.maxRetryAfter ?? DEFAULT_MAX_RETRY_AFTER;
+
+  for (let attempt = 0; ; attempt++) {
+    const headers = typeof options.headers === 'function' ? await options.headers(attempt) : options.headers;
+
+    let response;
+    try {
+      response = await sendOnce(target, method, headers, body, timeout);
+    } catch (e) {
+      if (options.onAttempt) options.onAttempt({ attempt, status: null, error: e });
+
+      if (attempt >= retries || !retryAny || !RETRYABLE_CODES.includes(e.code)) {
+        throw new HttpError(`${method} ${target.host}${target.pathname} failed: ${e.message}`, {
+          url: target.href, method, code: e.code, attempts: attempt + 1, cause: e
+        });
+      }
+      await sleep(backoffDelay(attempt + 1, backoff));
+      continue;
+    }
+
+    if (options.onAttempt) options.onAttempt({ attempt, status: response.status, error: null });
+
+    const retryable = retryAny ? RETRYABLE_STATUSES.includes(response.status) : isUnprocessed(response);
+    if (attempt >= retries || !retryable) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers['retry-after']);
+    if (retryAfter !== null && retryAfter > maxRetryAfter) {
+      return response;
+    }
+    await sleep(retryAfter ?? backoffDelay(attempt + 1, backoff));
+  }
+}
+
+/**
+ * Throw an HttpError for a non-2xx response
+ *
+ * @param {{status: number, data: any}} response - From httpRequest
+ * @param {string} label - What was requested, for the message (e.g. 'Hub rejected message')
+ * @param {Object} [fields] - Extra HttpError fields (url, method)
+ * @returns {{status: number, headers: Object, data: any}} The response, when 2xx
+ */
+function assertOk(response, label, fields = {}) {
+  if (response.status >= 200 && response.status < 300) {
+    return response;
+  }
+
+  const detail = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  throw new HttpError(`${label} (${response.status}): ${detail}`, {
+    ...fields,
+    status: response.status,
+    data: response.data
+  });
+}
+
+module.exports = { httpRequest, assertOk, HttpError };
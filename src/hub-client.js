@@ -0,0 +1,258 @@
+const { Message } = require('@farcaster/hub-nodejs');
+const { getNetwork } = require('./config');
+const { x402Request } = require('./x402');
+const { httpRequest, assertOk } = require('./http');
+
+// Transport used when neither options.transport nor FARCASTER_HUB_TRANSPORT is set
+const DEFAULT_TRANSPORT = 'x402';
+
+/**
+ * Send a request with extra headers and no payment
+ */
+function sendWithHeaders(extraHeaders) {
+  return (baseUrl, path, options, body) => httpRequest(new URL(path, baseUrl), {
+    ...options,
+    headers: { ...options.headers, ...extraHeaders }
+  }, body);
+}
+
+/**
+ * Hub transports: where requests go and how they are sent
+ *
+ * - x402: Neynar hub, each call paid with a USDC authorization signed by the
+ *   wallet, at the price the server advertises (within the payment policy)
+ * - api-key: Neynar hub with a NEYNAR_API_KEY subscription, no payments
+ * - self-hosted: your own hub (FARCASTER_HUB_URL), no payment or key
+ */
+const TRANSPORTS = {
+  'x402': (options, network) => {
+    if (!options.wallet) {
+      throw new Error('The x402 hub transport needs a wallet to sign payments');
+    }
+    return {
+      name: 'x402',
+      hubUrl: network.hub.url,
+      apiUrl: network.hub.apiUrl,
+      send: (baseUrl, path, requestOptions, body) => x402Request(options.wallet, {
+        ...requestOptions,
+        baseUrl,
+        path,
+        network,
+        policy: options.paymentPolicy,
+        budget: options.budget,
+        topUp: options.topUp,
+        paymentRetry: options.paymentRetry
+      }, body)
+    };
+  },
+
+  'api-key': (options, network) => {
+    const apiKey = options.apiKey || process.env.NEYNAR_API_KEY;
+    if (!apiKey) {
+      throw new Error('The api-key hub transport needs options.apiKey or NEYNAR_API_KEY');
+    }
+    return {
+      name: 'api-key',
+      hubUrl: network.hub.url,
+      apiUrl: network.hub.apiUrl,
+      send: sendWithHeaders({ 'x-api-key': apiKey })
+    };
+  },
+
+  'self-hosted': (options, network) => ({
+    name: 'self-hosted',
+    hubUrl: options.hubUrl || network.hub.url,
+    apiUrl: null,
+    send: sendWithHeaders({})
+  })
+};
+
+/**
+ * Client for the Farcaster hub HTTP API
+ *
+ * Every response resolves as `{status, data}`; only submitMessage treats a
+ * non-2xx status as an error (an HttpError), since nothing was published.
+ * Connection failures that outlast the retries reject with an HttpError.
+ */
+class HubClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.transport] - x402, api-key or self-hosted (defaults to FARCASTER_HUB_TRANSPORT, then x402)
+   * @param {Wallet} [options.wallet] - Wallet signing x402 payments (USDC on Base)
+   * @param {Object} [options.paymentPolicy] - x402 limits: maxAmount, allowedAssets (see x402.js getPaymentPolicy)
+   * @param {Object} [options.budget] - x402 spend caps: daily, monthly (see ledger.js getBudget)
+   * @param {Object} [options.topUp] - x402 USDC top-up: threshold, amount, reserve (see topup.js getTopUpConfig)
+   * @param {string} [options.paymentRetry] - x402 payment on retries: reuse or fresh (see x402.js x402Request)
+   * @param {number} [options.timeout] - Per-attempt timeout (ms, see http.js httpRequest)
+   * @param {number} [options.retries] - Extra attempts on connection errors, 429 and 5xx
+   * @param {string} [options.apiKey] - Neynar API key (defaults to NEYNAR_API_KEY)
+   * @param {string} [options.hubUrl] - Hub URL for self-hosted (defaults to the network's hub, FARCASTER_HUB_URL)
+   * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+   */
+  constructor(options = {}) {
+    const name = options.transport || process.env.FARCASTER_HUB_TRANSPORT || DEFAULT_TRANSPORT;
+    const transport = TRANSPORTS[name];
+    if (!transport) {
+      throw new Error(`Unknown hub transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+
+    this.network = getNetwork(options);
+    this.transport = transport(options, this.network);
+    this.timeout = options.timeout;
+    this.retries = options.retries;
+  }
+
+  /**
+   * Make an authorized request to the hub (or, with `api`, the Neynar API)
+   *
+   * @param {string} path - Path and query string
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.headers]
+   * @param {boolean} [options.api=false] - Send to the Neynar API instead of the hub
+   * @param {Buffer|string} [body]
+   * @returns {Promise<{status: number, data: any}>}
+   */
+  async request(path, options = {}, body = null) {
+    const baseUrl = options.api ? this.transport.apiUrl : this.transport.hubUrl;
+    if (!baseUrl) {
+      throw new Error(`The ${this.transport.name} hub transport has no ${options.api ? 'Neynar API' : 'hub'} URL on ${this.network.name}`);
+    }
+
+    const { status, data } = await this.transport.send(baseUrl, path, {
+      method: options.method || 'GET',
+      headers: options.headers,
+      timeout: this.timeout,
+      retries: this.retries
+    }, body);
+
+    return { status, data };
+  }
+
+  /**
+   * Submit an encoded message to the hub
+   *
+   * @param {Buffer} messageBytes - Protobuf-encoded Message
+   * @returns {Promise<Object>} The hub's copy of the message
+   */
+  async submitMessage(messageBytes) {
+    const response = await this.request('/v1/submitMessage', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': messageBytes.length
+      }
+    }, messageBytes);
+
+    return assertOk(response, 'Hub rejected message', { method: 'POST' }).data;
+  }
+
+  /**
+   * Encode and submit a message built with @farcaster/hub-nodejs
+   *
+   * @param {Message} message - e.g. the value of a makeCastAdd result
+   * @returns {Promise<{hash: string, data: Object}>} Message hash (0x hex) and the hub's response
+   */
+  async submit(message) {
+    const data = await this.submitMessage(Buffer.from(Message.encode(message).finish()));
+    return { hash: '0x' + Buffer.from(message.hash).toString('hex'), data };
+  }
+
+  /**
+   * Get a cast by hash from the Neynar API
+   */
+  getCast(castHash) {
+    return this.request(`/v2/farcaster/cast?identifier=${castHash}&type=hash`, { api: true });
+  }
+
+  /**
+   * Get a cast by FID and hash directly from the hub
+   */
+  getCastById(fid, castHash) {
+    return this.request(`/v1/castById?fid=${fid}&hash=${castHash}`);
+  }
+
+  /**
+   * Check if an address's FID registration has synced to the hub
+   */
+  checkFidSync(address) {
+    return this.request(`/v1/onChainIdRegistryEventByAddress?address=${address}`);
+  }
+
+  /**
+   * Check signer sync status
+   */
+  checkSignerSync(fid) {
+    return this.request(`/v1/onChainSignersByFid?fid=${fid}`);
+  }
+
+  /**
+   * Get storage units and per-store usage for an FID
+   */
+  getStorageLimits(fid) {
+    return this.request(`/v1/storageLimitsByFid?fid=${fid}`);
+  }
+}
+
+/**
+ * Create a hub client for the configured transport
+ *
+ * @param {Object} [options] - See HubClient
+ * @returns {HubClient}
+ */
+function createHubClient(options = {}) {
+  return new HubClient(options);
+}
+
+/**
+ * Submit a message to the hub, paying with the wallet when the transport is x402
+ */
+async function submitMessage(wallet, messageBytes, options = {}) {
+  return createHubClient({ ...options, wallet }).submitMessage(messageBytes);
+}
+
+/**
+ * Get a cast by hash from the Neynar API
+ */
+async function getCast(wallet, castHash, options = {}) {
+  return createHubClient({ ...options, wallet }).getCast(castHash);
+}
+
+/**
+ * Get a cast by FID and hash directly from the hub
+ */
+async function getCastById(wallet, fid, castHash, options = {}) {
+  return createHubClient({ ...options, wallet }).getCastById(fid, castHash);
+}
+
+/**
+ * Check if FID is synced on the hub
+ */
+async function checkFidSync(wallet, address, options = {}) {
+  return createHubClient({ ...options, wallet }).checkFidSync(address);
+}
+
+/**
+ * Check signer sync status
+ */
+async function checkSignerSync(wallet, fid, options = {}) {
+  return createHubClient({ ...options, wallet }).checkSignerSync(fid);
+}
+
+/**
+ * Get storage units and per-store usage for an FID
+ */
+async function getStorageLimits(wallet, fid, options = {}) {
+  return createHubClient({ ...options, wallet }).getStorageLimits(fid);
+}
+
+module.exports = {
+  HubClient,
+  createHubClient,
+  submitMessage,
+  getCast,
+  getCastById,
+  checkFidSync,
+  checkSignerSync,
+  getStorageLimits
+};
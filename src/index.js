@@ -1,18 +1,49 @@
 const { registerFid } = require('./register-fid');
+const { signTransfer, changeRecoveryAddress, recoverFid } = require('./recovery');
+const { transferFid } = require('./transfer-fid');
 const { addSigner } = require('./add-signer');
+const { registerWithSigner, quoteRegisterWithSigner } = require('./register-with-signer');
+const { sponsorRegisterFid, sponsorAddSigner, sponsorSetup } = require('./sponsor');
+const { batchProvision } = require('./batch-provision');
+const { deriveCustodyWallet } = require('./derivation');
+const { rotateSigner } = require('./rotate-signer');
+const { revokeSigner } = require('./revoke-signer');
+const { getSignerInventory, reconcileSigners } = require('./signer-inventory');
 const { postCast } = require('./post-cast');
+const { getStorageUsage, quoteStorage, rentStorage, checkStorageThreshold } = require('./storage');
 const { swapEthToUsdc } = require('./swap-to-usdc');
 const { autoSetup, checkAllBalances, determineFundingStrategy } = require('./auto-setup');
 const { setProfileData, registerFname, setupFullProfile } = require('./set-profile');
-const { checkFidSync, checkSignerSync, getCast } = require('./x402');
+const { HubClient, createHubClient, checkFidSync, checkSignerSync, getCast } = require('./hub-client');
+const { httpRequest, HttpError } = require('./http');
 const {
   saveCredentials,
   loadCredentials,
   listCredentials,
   setActiveAccount,
   updateCredentials,
+  savePendingSigner,
+  removeCredentials,
+  redactCredentials,
+  verifyCredentials,
+  migrateCredentials,
+  isEncrypted,
   getCredentialsPath
 } = require('./credentials');
+const {
+  getKeyStore,
+  createFileStore,
+  createEnvStore,
+  createMemoryStore,
+  createCommandStore
+} = require('./keystore');
+const { exportAccounts, importAccounts } = require('./backup');
+const { createProvider, checkRpcHealth } = require('./provider');
+const { getGasPolicy, sendTransaction } = require('./gas');
+const { readLedger, getSpend, summarizeSpend } = require('./ledger');
+const { topUpEvents } = require('./topup');
+const { waitForReceipt, parseRegisterEvent, parseAddEvents } = require('./receipts');
+const { quoteCosts, checkMaxPrice } = require('./quote');
 const config = require('./config');
 
 module.exports = {
@@ -20,10 +51,24 @@ module.exports = {
   autoSetup,
   checkAllBalances,
   determineFundingStrategy,
+  batchProvision,
 
   // Core functions
   registerFid,
+  changeRecoveryAddress,
+  recoverFid,
+  signTransfer,
+  transferFid,
   addSigner,
+  registerWithSigner,
+  quoteRegisterWithSigner,
+  quoteCosts,
+  checkMaxPrice,
+  sponsorRegisterFid,
+  sponsorAddSigner,
+  sponsorSetup,
+  rotateSigner,
+  revokeSigner,
   postCast,
   swapEthToUsdc,
 
@@ -38,11 +83,58 @@ module.exports = {
   listCredentials,
   setActiveAccount,
   updateCredentials,
+  savePendingSigner,
+  removeCredentials,
+  redactCredentials,
+  verifyCredentials,
+  migrateCredentials,
+  isEncrypted,
   getCredentialsPath,
 
+  // Storage
+  getStorageUsage,
+  quoteStorage,
+  rentStorage,
+  checkStorageThreshold,
+
+  // Backup
+  exportAccounts,
+  importAccounts,
+
+  // HD derivation
+  deriveCustodyWallet,
+
+  // Hub
+  HubClient,
+  createHubClient,
+  httpRequest,
+  HttpError,
+
+  // x402 spend
+  readLedger,
+  getSpend,
+  summarizeSpend,
+  topUpEvents,
+
+  // Key store backends
+  getKeyStore,
+  createFileStore,
+  createEnvStore,
+  createMemoryStore,
+  createCommandStore,
+
   // Utilities
+  createProvider,
+  checkRpcHealth,
+  getGasPolicy,
+  sendTransaction,
+  waitForReceipt,
+  parseRegisterEvent,
+  parseAddEvents,
   checkFidSync,
   checkSignerSync,
+  getSignerInventory,
+  reconcileSigners,
   getCast,
 
   // Config
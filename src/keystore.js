@@ -0,0 +1,494 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const { Wallet } = require('ethers');
+const { getPassphrase, isVault, encryptVault, decryptVault } = require('./vault');
+
+// Default credential storage locations
+const OPENCLAW_DIR = path.join(os.homedir(), '.openclaw');
+const CREDENTIALS_FILENAME = 'farcaster-credentials.json';
+
+// Lock settings for concurrent writers (e.g. parallel auto-setup runs)
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+// Secret helper commands must answer within this time
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * KeyStore interface
+ *
+ * Every backend returns an object with:
+ * - name {string}          Backend name ('file', 'env', 'memory', 'command')
+ * - location {string}      Human-readable location (path, command, ...)
+ * - readOnly {boolean}     Whether update() is supported
+ * - exists() {boolean}     Whether the store has anything to read
+ * - read() {Object}        Stored accounts keyed by FID, plus `_active`
+ * - update(fn) {*}         Read, apply fn(data) in place, persist; returns fn's result
+ *
+ * Backends are selected by `options.keystore` or the FARCASTER_KEYSTORE env
+ * var (default: 'file'). A custom object implementing the interface can also
+ * be passed as `options.keystore`.
+ */
+
+/**
+ * Get the credentials file path
+ * Priority: 1) FARCASTER_CREDENTIALS_PATH, 2) OpenClaw dir if exists, 3) Local ./credentials.json
+ */
+function getCredentialsPath() {
+  if (process.env.FARCASTER_CREDENTIALS_PATH) {
+    return path.resolve(process.env.FARCASTER_CREDENTIALS_PATH);
+  }
+  // If running in OpenClaw environment, use ~/.openclaw/
+  if (fs.existsSync(OPENCLAW_DIR)) {
+    return path.join(OPENCLAW_DIR, CREDENTIALS_FILENAME);
+  }
+  // Otherwise use local directory
+  return path.join(process.cwd(), 'credentials.json');
+}
+
+/**
+ * Normalize backend output into the store shape
+ *
+ * Accepts either a full store (accounts keyed by FID) or a single account
+ * object with a `fid` field.
+ */
+function normalizeStore(doc) {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error('Key store returned invalid data');
+  }
+
+  if (doc.fid !== undefined && typeof doc.fid !== 'object') {
+    const fid = doc.fid.toString();
+    return { [fid]: { ...doc, fid }, _active: fid };
+  }
+
+  return doc;
+}
+
+/**
+ * Get the path of the backup kept alongside the credentials file
+ */
+function getBackupPath(filePath) {
+  return filePath + '.bak';
+}
+
+/**
+ * Copy the current credentials file to `<file>.bak` before it is replaced
+ *
+ * When the new file is a vault, a plaintext previous version is encrypted
+ * with the same passphrase instead of copied, so encrypting a store never
+ * leaves its private keys readable next to it.
+ *
+ * @param {string} filePath - Credentials file path
+ * @param {string|null} passphrase - Passphrase the new file is encrypted with
+ */
+function backupFile(filePath, passphrase) {
+  const backupPath = getBackupPath(filePath);
+  if (!fs.existsSync(filePath)) {
+    if (passphrase && fs.existsSync(backupPath) && !isVaultFile(backupPath)) {
+      fs.rmSync(backupPath, { force: true });
+    }
+    return;
+  }
+
+  if (!passphrase || isVaultFile(filePath)) {
+    fs.copyFileSync(filePath, backupPath);
+    fs.chmodSync(backupPath, 0o600);
+    return;
+  }
+
+  let previous;
+  try {
+    previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    // A corrupt plaintext file is not worth keeping unencrypted
+    fs.rmSync(backupPath, { force: true });
+    return;
+  }
+  fs.writeFileSync(backupPath, JSON.stringify(encryptVault(previous, passphrase), null, 2), { mode: 0o600 });
+  fs.chmodSync(backupPath, 0o600);
+}
+
+/**
+ * Whether a file on disk holds an encrypted vault
+ */
+function isVaultFile(filePath) {
+  try {
+    return isVault(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Block the current thread for a few milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run a read-modify-write section while holding an exclusive lock file
+ *
+ * The lock is a sibling `.lock` file created with O_EXCL. Locks older than
+ * LOCK_STALE_MS are assumed to belong to a crashed process and are broken.
+ *
+ * @param {string} filePath - Credentials file path
+ * @param {Function} fn - Critical section
+ * @returns {*} Result of fn
+ */
+function withLock(filePath, fn) {
+  const lockPath = filePath + '.lock';
+  const start = Date.now();
+  let fd;
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockPath, 'wx', 0o600);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (statErr) {
+        // Lock was released between open and stat, retry immediately
+        continue;
+      }
+
+      if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for credentials lock: ${lockPath}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * Read the credentials file, decrypting it if it is an encrypted vault
+ *
+ * @param {string} filePath - Credentials file path
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Vault passphrase
+ * @returns {Object} Stored accounts keyed by FID
+ */
+function readFile(filePath, options = {}) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    const backup = getBackupPath(filePath);
+    const hint = fs.existsSync(backup) ? ` Previous version kept at ${backup}.` : '';
+    throw new Error(`Credentials file ${filePath} is corrupt: ${e.message}.${hint}`);
+  }
+
+  if (isVault(doc)) {
+    return decryptVault(doc, getPassphrase(options));
+  }
+
+  return doc;
+}
+
+/**
+ * Write the credentials file
+ *
+ * Encrypts when a passphrase is available, so any write made with a
+ * passphrase transparently upgrades a plaintext file to the vault format.
+ *
+ * The write is atomic: data goes to a temp file that is fsynced and then
+ * renamed over the original, after the previous version is copied to
+ * `<file>.bak` (encrypted too when the new file is a vault, see backupFile).
+ *
+ * @param {string} filePath - Credentials file path
+ * @param {Object} data - Stored accounts keyed by FID
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Vault passphrase
+ */
+function writeFile(filePath, data, options = {}) {
+  const passphrase = getPassphrase(options);
+  const doc = passphrase ? encryptVault(data, passphrase) : data;
+
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, JSON.stringify(doc, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    backupFile(filePath, passphrase);
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * File backend: JSON file (optionally an encrypted vault) on local disk
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Custom path (defaults to getCredentialsPath())
+ * @param {string} [options.passphrase] - Vault passphrase
+ */
+function createFileStore(options = {}) {
+  const filePath = options.path || getCredentialsPath();
+
+  return {
+    name: 'file',
+    location: filePath,
+    readOnly: false,
+
+    exists() {
+      return fs.existsSync(filePath);
+    },
+
+    read() {
+      return fs.existsSync(filePath) ? readFile(filePath, options) : {};
+    },
+
+    isEncrypted() {
+      return fs.existsSync(filePath) && isVaultFile(filePath);
+    },
+
+    update(fn) {
+      const dir = path.dirname(filePath);
+
+      // Create directory if it doesn't exist
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      return withLock(filePath, () => {
+        const data = fs.existsSync(filePath) ? readFile(filePath, options) : {};
+        const result = fn(data);
+        writeFile(filePath, data, options);
+        return result;
+      });
+    }
+  };
+}
+
+/**
+ * Environment backend (read-only)
+ *
+ * Reads FARCASTER_CREDENTIALS (JSON store or single account) if set,
+ * otherwise builds a single account from FID, PRIVATE_KEY (or
+ * CUSTODY_PRIVATE_KEY), SIGNER_PRIVATE_KEY, SIGNER_PUBLIC_KEY and FNAME.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment to read (defaults to process.env)
+ */
+function createEnvStore(options = {}) {
+  const env = options.env || process.env;
+
+  function read() {
+    if (env.FARCASTER_CREDENTIALS) {
+      return normalizeStore(JSON.parse(env.FARCASTER_CREDENTIALS));
+    }
+
+    const custodyPrivateKey = env.PRIVATE_KEY || env.CUSTODY_PRIVATE_KEY;
+    if (!env.FID || !custodyPrivateKey) {
+      return {};
+    }
+
+    return normalizeStore({
+      fid: env.FID,
+      custodyAddress: env.CUSTODY_ADDRESS || new Wallet(custodyPrivateKey).address,
+      custodyPrivateKey,
+      signerPublicKey: env.SIGNER_PUBLIC_KEY || null,
+      signerPrivateKey: env.SIGNER_PRIVATE_KEY || null,
+      fname: env.FNAME || null
+    });
+  }
+
+  return {
+    name: 'env',
+    location: env.FARCASTER_CREDENTIALS ? 'FARCASTER_CREDENTIALS' : 'FID/PRIVATE_KEY/SIGNER_PRIVATE_KEY',
+    readOnly: true,
+
+    exists() {
+      return Object.keys(read()).some(k => k !== '_active');
+    },
+
+    read,
+
+    update() {
+      throw new Error('The env key store is read-only');
+    }
+  };
+}
+
+/**
+ * In-memory backend: nothing touches disk, data lives for the process lifetime
+ *
+ * @param {Object} [initial] - Initial store contents
+ */
+function createMemoryStore(initial = {}) {
+  let data = JSON.parse(JSON.stringify(initial));
+
+  return {
+    name: 'memory',
+    location: 'process memory',
+    readOnly: false,
+
+    exists() {
+      return Object.keys(data).length > 0;
+    },
+
+    read() {
+      return JSON.parse(JSON.stringify(data));
+    },
+
+    update(fn) {
+      const copy = JSON.parse(JSON.stringify(data));
+      const result = fn(copy);
+      data = copy;
+      return result;
+    }
+  };
+}
+
+/**
+ * External command backend: shells out to a user-configured secret helper
+ *
+ * The read command must print JSON (a full store or a single account) to
+ * stdout. If a write command is configured, updates pipe the full store as
+ * JSON to its stdin; otherwise the store is read-only.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.command] - Read command (defaults to FARCASTER_KEYSTORE_COMMAND)
+ * @param {string} [options.writeCommand] - Write command (defaults to FARCASTER_KEYSTORE_WRITE_COMMAND)
+ * @param {number} [options.timeout] - Command timeout in ms
+ */
+function createCommandStore(options = {}) {
+  const command = options.command || process.env.FARCASTER_KEYSTORE_COMMAND;
+  const writeCommand = options.writeCommand || process.env.FARCASTER_KEYSTORE_WRITE_COMMAND;
+  const timeout = options.timeout || COMMAND_TIMEOUT_MS;
+
+  if (!command) {
+    throw new Error('The command key store requires FARCASTER_KEYSTORE_COMMAND');
+  }
+
+  function read() {
+    let output;
+    try {
+      output = execSync(command, {
+        encoding: 'utf8',
+        timeout,
+        stdio: ['ignore', 'pipe', 'inherit']
+      });
+    } catch (e) {
+      throw new Error(`Key store command failed: ${e.message}`);
+    }
+
+    if (!output.trim()) {
+      return {};
+    }
+
+    try {
+      return normalizeStore(JSON.parse(output));
+    } catch (e) {
+      throw new Error(`Key store command returned invalid JSON: ${e.message}`);
+    }
+  }
+
+  return {
+    name: 'command',
+    location: command,
+    readOnly: !writeCommand,
+
+    exists() {
+      return Object.keys(read()).some(k => k !== '_active');
+    },
+
+    read,
+
+    update(fn) {
+      if (!writeCommand) {
+        throw new Error('The command key store is read-only (set FARCASTER_KEYSTORE_WRITE_COMMAND)');
+      }
+
+      const data = read();
+      const result = fn(data);
+
+      try {
+        execSync(writeCommand, {
+          input: JSON.stringify(data),
+          timeout,
+          stdio: ['pipe', 'ignore', 'inherit']
+        });
+      } catch (e) {
+        throw new Error(`Key store write command failed: ${e.message}`);
+      }
+
+      return result;
+    }
+  };
+}
+
+// Shared store used when the 'memory' backend is selected by name
+let defaultMemoryStore = null;
+
+/**
+ * Resolve the configured key store
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.keystore] - Backend name or KeyStore object
+ * @param {string} [options.path] - File backend path
+ * @param {string} [options.passphrase] - File backend vault passphrase
+ * @param {string} [options.command] - Command backend read command
+ * @returns {Object} KeyStore
+ */
+function getKeyStore(options = {}) {
+  if (options.keystore && typeof options.keystore === 'object') {
+    return options.keystore;
+  }
+
+  // An explicit path always means the file backend
+  const backend = options.path
+    ? 'file'
+    : (options.keystore || process.env.FARCASTER_KEYSTORE || 'file');
+
+  switch (backend) {
+    case 'file':
+      return createFileStore(options);
+    case 'env':
+      return createEnvStore(options);
+    case 'memory':
+      if (!defaultMemoryStore) {
+        defaultMemoryStore = createMemoryStore();
+      }
+      return defaultMemoryStore;
+    case 'command':
+      return createCommandStore(options);
+    default:
+      throw new Error(`Unknown key store backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  getKeyStore,
+  getCredentialsPath,
+  createFileStore,
+  createEnvStore,
+  createMemoryStore,
+  createCommandStore
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const { getAddress, parseUnits, formatUnits } = require('ethers');
+const { getCredentialsPath } = require('./keystore');
+
+const LEDGER_FILENAME = 'x402-ledger.jsonl';
+
+// Responses after which the payment was not settled
+const UNPAID_STATUSES = [402];
+
+/**
+ * Get the spend ledger path
+ *
+ * Priority: 1) X402_LEDGER_PATH, 2) next to the credentials file
+ */
+function getLedgerPath() {
+  if (process.env.X402_LEDGER_PATH) {
+    return path.resolve(process.env.X402_LEDGER_PATH);
+  }
+  return path.join(path.dirname(getCredentialsPath()), LEDGER_FILENAME);
+}
+
+/**
+ * Append one x402 payment to the ledger
+ *
+ * @param {Object} entry
+ * @param {string} entry.account - Paying wallet address
+ * @param {string} entry.endpoint - Host and path the payment was sent to
+ * @param {bigint|string} entry.amount - Amount in token units (USDC: 6 decimals)
+ * @param {string} entry.nonce - EIP-3009 authorization nonce
+ * @param {number|null} entry.status - HTTP status, or null if no response arrived
+ * @param {Object} [options]
+ * @param {string} [options.path] - Ledger path (defaults to getLedgerPath())
+ */
+function recordSpend(entry, options = {}) {
+  const ledgerPath = options.path || getLedgerPath();
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    account: getAddress(entry.account),
+    endpoint: entry.endpoint,
+    amount: entry.amount.toString(),
+    nonce: entry.nonce,
+    status: entry.status ?? null
+  });
+
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  fs.appendFileSync(ledgerPath, line + '\n', { mode: 0o600 });
+}
+
+/**
+ * Read ledger entries
+ *
+ * Lines that are not valid JSON are skipped with a warning.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Ledger path (defaults to getLedgerPath())
+ * @param {string} [options.account] - Only entries paid by this address
+ * @param {string} [options.since] - Only entries at or after this ISO timestamp
+ * @returns {Array<Object>}
+ */
+function readLedger(options = {}) {
+  const ledgerPath = options.path || getLedgerPath();
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  const account = options.account ? getAddress(options.account) : null;
+  const entries = [];
+
+  fs.readFileSync(ledgerPath, 'utf8').split('\n').forEach((line, i) => {
+    if (!line) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A write cut short (crash, full disk) must not block every later payment
+      console.warn(`Warning: skipping unreadable line ${i + 1} of ${ledgerPath}`);
+    }
+  });
+
+  return entries.filter(e => (!account || e.account === account) && (!options.since || e.timestamp >= options.since));
+}
+
+/**
+ * Whether a ledger entry cost money (the server did not refuse the payment)
+ */
+function isPaid(entry) {
+  return !UNPAID_STATUSES.includes(entry.status);
+}
+
+/**
+ * Total spent by an account today and this month (UTC)
+ *
+ * @param {string} account - Paying wallet address
+ * @param {Object} [options] - See readLedger
+ * @returns {{day: bigint, month: bigint}} Amounts in token units
+ */
+function getSpend(account, options = {}) {
+  const now = new Date().toISOString();
+  const entries = readLedger({ ...options, account, since: now.slice(0, 7) }).filter(isPaid);
+  const sum = list => list.reduce((total, e) => total + BigInt(e.amount), 0n);
+
+  return {
+    day: sum(entries.filter(e => e.timestamp.startsWith(now.slice(0, 10)))),
+    month: sum(entries)
+  };
+}
+
+/**
+ * Resolve budget caps from options or X402_DAILY_BUDGET / X402_MONTHLY_BUDGET (USDC)
+ *
+ * @param {Object} [budget]
+ * @param {bigint|string} [budget.daily] - Cap in token units (bigint) or USDC (string)
+ * @param {bigint|string} [budget.monthly] - Cap in token units (bigint) or USDC (string)
+ * @returns {{daily: bigint|null, monthly: bigint|null}}
+ */
+function getBudget(budget = {}) {
+  const toUnits = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'bigint' ? value : parseUnits(String(value), 6);
+  };
+
+  return {
+    daily: toUnits(budget.daily ?? process.env.X402_DAILY_BUDGET),
+    monthly: toUnits(budget.monthly ?? process.env.X402_MONTHLY_BUDGET)
+  };
+}
+
+/**
+ * Throw if paying `amount` would take an account over its budget
+ *
+ * @param {string} account - Paying wallet address
+ * @param {bigint} amount - Amount about to be paid, in token units
+ * @param {Object} [options]
+ * @param {Object} [options.budget] - See getBudget
+ * @param {string} [options.path] - Ledger path
+ */
+function checkBudget(account, amount, options = {}) {
+  const { daily, monthly } = getBudget(options.budget);
+  if (daily === null && monthly === null) {
+    return;
+  }
+
+  const spent = getSpend(account, options);
+  if (daily !== null && spent.day + amount > daily) {
+    throw new Error(`x402 daily budget exceeded for ${account}: spent ${formatUnits(spent.day, 6)} of ${formatUnits(daily, 6)} USDC`);
+  }
+  if (monthly !== null && spent.month + amount > monthly) {
+    throw new Error(`x402 monthly budget exceeded for ${account}: spent ${formatUnits(spent.month, 6)} of ${formatUnits(monthly, 6)} USDC`);
+  }
+}
+
+/**
+ * Summarise paid ledger entries by day and by endpoint
+ *
+ * @param {Object} [options] - See readLedger
+ * @returns {{total: bigint, calls: number, byDay: Object, byEndpoint: Object}} Per-key {amount, calls}
+ */
+function summarizeSpend(options = {}) {
+  const summary = { total: 0n, calls: 0, byDay: {}, byEndpoint: {} };
+  const add = (group, key, amount) => {
+    group[key] = group[key] || { amount: 0n, calls: 0 };
+    group[key].amount += amount;
+    group[key].calls++;
+  };
+
+  for (const entry of readLedger(options).filter(isPaid)) {
+    const amount = BigInt(entry.amount);
+    summary.total += amount;
+    summary.calls++;
+    add(summary.byDay, entry.timestamp.slice(0, 10), amount);
+    add(summary.byEndpoint, entry.endpoint, amount);
+  }
+
+  return summary;
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const days = parseInt(flag('--days') || '30');
+
+  if (args.includes('--help') || Number.isNaN(days)) {
+    console.log('Usage: node ledger.js [--account 0x...] [--days N]');
+    console.log('\nSummarises x402 spend from the ledger by day and endpoint (default: last 30 days).');
+    console.log('Ledger: X402_LEDGER_PATH, or x402-ledger.jsonl next to the credentials file.');
+    process.exit(1);
+  }
+
+  try {
+    const account = flag('--account');
+    const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+    const summary = summarizeSpend({ account, since });
+    const usdc = amount => formatUnits(amount, 6);
+
+    console.log(`\n=== x402 Spend since ${since}${account ? ` for ${account}` : ''} ===`);
+    console.log('Ledger:', getLedgerPath());
+    console.log(`Total: ${usdc(summary.total)} USDC over ${summary.calls} calls`);
+
+    console.log('\nBy day:');
+    Object.keys(summary.byDay).sort().forEach(day => {
+      const { amount, calls } = summary.byDay[day];
+      console.log(`  ${day}  ${usdc(amount).padStart(10)} USDC  ${calls} calls`);
+    });
+
+    console.log('\nBy endpoint:');
+    Object.entries(summary.byEndpoint)
+      .sort((a, b) => (b[1].amount > a[1].amount ? 1 : b[1].amount < a[1].amount ? -1 : 0))
+      .forEach(([endpoint, { amount, calls }]) => {
+        console.log(`  ${usdc(amount).padStart(10)} USDC  ${String(calls).padStart(5)} calls  ${endpoint}`);
+      });
+
+    if (account) {
+      const { daily, monthly } = getBudget();
+      const spent = getSpend(account);
+      if (daily !== null) console.log(`\nToday: ${usdc(spent.day)} of ${usdc(daily)} USDC daily budget`);
+      if (monthly !== null) console.log(`This month: ${usdc(spent.month)} of ${usdc(monthly)} USDC monthly budget`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getLedgerPath,
+  recordSpend,
+  readLedger,
+  getSpend,
+  getBudget,
+  checkBudget,
+  summarizeSpend
+};
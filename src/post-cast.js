@@ -1,12 +1,14 @@
-const { Wallet, JsonRpcProvider } = require('ethers');
+const { Wallet } = require('ethers');
 const {
   makeCastAdd,
   NobleEd25519Signer,
-  FarcasterNetwork,
-  Message
+  FarcasterNetwork
 } = require('@farcaster/hub-nodejs');
-const { RPC } = require('./config');
-const { submitMessage, getCast } = require('./x402');
+const { getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { createHubClient } = require('./hub-client');
+const { loadCredentials } = require('./credentials');
+const { checkStorageThreshold } = require('./storage');
 
 /**
  * Post a cast to Farcaster
@@ -14,19 +16,26 @@ const { submitMessage, getCast } = require('./x402');
  * Prerequisites:
  * - FID registered and synced to Neynar hub
  * - Signer key added and synced to Neynar hub
- * - USDC on Base for x402 payments (0.001 USDC per API call)
+ * - USDC on Base for x402 payments (0.001 USDC per API call), unless the
+ *   hub transport is api-key or self-hosted
  *
  * @param {Object} options
  * @param {string} options.privateKey - Custody wallet private key (for x402 payment signing)
  * @param {string} options.signerPrivateKey - Ed25519 signer private key (hex, no 0x)
  * @param {number} options.fid - Farcaster ID
  * @param {string} options.text - Cast text content
+ * @param {number} [options.storageThreshold] - Refuse to post when cast storage usage is at or above this ratio (0-1); costs one extra x402 call
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {HubClient} [options.hubClient] - Hub client to use (defaults to the configured transport, see hub-client.js)
  * @returns {Promise<{hash: string, verified: boolean}>}
  */
-async function postCast({ privateKey, signerPrivateKey, fid, text }) {
+async function postCast({ privateKey, signerPrivateKey, fid, text, storageThreshold, network: networkOption, hubClient }) {
+  const network = getNetwork({ network: networkOption });
+
   // Create wallet for x402 payments (Base)
-  const baseProvider = new JsonRpcProvider(RPC.BASE);
+  const baseProvider = createProvider('BASE', { network });
   const wallet = new Wallet(privateKey, baseProvider);
+  const hub = hubClient || createHubClient({ wallet, network });
 
   console.log('Posting as FID:', fid);
   console.log('Text:', text);
@@ -46,7 +55,7 @@ async function postCast({ privateKey, signerPrivateKey, fid, text }) {
     },
     {
       fid,
-      network: FarcasterNetwork.MAINNET
+      network: FarcasterNetwork[network.farcasterNetwork]
     },
     signer
   );
@@ -57,19 +66,23 @@ async function postCast({ privateKey, signerPrivateKey, fid, text }) {
 
   const cast = castResult.value;
   const hash = '0x' + Buffer.from(cast.hash).toString('hex');
-  const messageBytes = Buffer.from(Message.encode(cast).finish());
 
   console.log('\nCast hash:', hash);
-  console.log('Message size:', messageBytes.length, 'bytes');
-
-  // Submit to Neynar hub with x402 payment
-  console.log('Submitting to Neynar hub...');
-  const submitResult = await submitMessage(wallet, messageBytes);
 
-  if (submitResult.status !== 200) {
-    throw new Error(`Submit failed: ${JSON.stringify(submitResult.data)}`);
+  // Storage is full: the hub would prune the oldest casts to make room
+  if (storageThreshold !== undefined) {
+    const storage = await checkStorageThreshold(privateKey, fid, { threshold: storageThreshold, network });
+    console.log(`Cast storage: ${storage.used}/${storage.limit}`);
+    if (!storage.ok) {
+      throw new Error(`Cast storage ${Math.round(storage.ratio * 100)}% full (${storage.used}/${storage.limit}). ` +
+        'Rent more with: npm run storage -- rent');
+    }
   }
 
+  // Submit to the hub (x402-paid Neynar by default)
+  console.log(`Submitting to hub: ${hub.transport.hubUrl} (${hub.transport.name})`);
+  await hub.submit(cast);
+
   console.log('Submitted successfully');
 
   // Wait a moment for propagation
@@ -77,7 +90,9 @@ async function postCast({ privateKey, signerPrivateKey, fid, text }) {
 
   // Verify the cast is live
   console.log('Verifying cast...');
-  const verifyResult = await getCast(wallet, hash);
+  const verifyResult = hub.transport.apiUrl
+    ? await hub.getCast(hash)
+    : await hub.getCastById(fid, hash);
 
   const verified = verifyResult.status === 200;
 
@@ -92,10 +107,15 @@ async function postCast({ privateKey, signerPrivateKey, fid, text }) {
 
 // CLI usage
 if (require.main === module) {
-  const privateKey = process.env.PRIVATE_KEY;
-  const signerPrivateKey = process.env.SIGNER_PRIVATE_KEY;
-  const fid = parseInt(process.env.FID);
+  // Fall back to the configured key store for anything not set in the environment
+  const stored = (!process.env.PRIVATE_KEY || !process.env.SIGNER_PRIVATE_KEY)
+    ? loadCredentials({ fid: process.env.FID }) || {}
+    : {};
+  const privateKey = process.env.PRIVATE_KEY || stored.custodyPrivateKey;
+  const signerPrivateKey = process.env.SIGNER_PRIVATE_KEY || stored.signerPrivateKey;
+  const fid = parseInt(process.env.FID || stored.fid);
   const text = process.argv[2] || 'gm from farcaster-agent!';
+  const storageThreshold = process.env.STORAGE_THRESHOLD ? parseFloat(process.env.STORAGE_THRESHOLD) : undefined;
 
   if (!privateKey || !signerPrivateKey || !fid) {
     console.log('Usage: PRIVATE_KEY=0x... SIGNER_PRIVATE_KEY=... FID=123 node post-cast.js "Your cast text"');
@@ -103,10 +123,12 @@ if (require.main === module) {
     console.log('  PRIVATE_KEY       - Custody wallet private key (with 0x prefix)');
     console.log('  SIGNER_PRIVATE_KEY - Ed25519 signer private key (hex, no 0x prefix)');
     console.log('  FID               - Your Farcaster ID number');
+    console.log('  STORAGE_THRESHOLD - Optional: refuse to post above this cast storage ratio (e.g. 0.95)');
+    console.log('\nAnything not set is loaded from the configured key store (FARCASTER_KEYSTORE).');
     process.exit(1);
   }
 
-  postCast({ privateKey, signerPrivateKey, fid, text })
+  postCast({ privateKey, signerPrivateKey, fid, text, storageThreshold })
     .then(({ hash, verified }) => {
       console.log('\n=== Cast Posted ===');
       console.log('Hash:', hash);
@@ -0,0 +1,214 @@
+const { JsonRpcProvider, FetchRequest, Network, keccak256 } = require('ethers');
+const { getNetwork } = require('./config');
+
+// Per-request timeout, retry rounds over all URLs, and base backoff between rounds
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF = 500;
+
+// How long a failing URL is moved to the back of the list
+const UNHEALTHY_COOLDOWN = 60000;
+
+// Shared across providers: url -> timestamp until which the URL is considered unhealthy
+const unhealthyUntil = new Map();
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function markHealthy(url) {
+  unhealthyUntil.delete(url);
+}
+
+function markUnhealthy(url) {
+  unhealthyUntil.set(url, Date.now() + UNHEALTHY_COOLDOWN);
+}
+
+/**
+ * Order URLs with healthy ones first, keeping the configured priority
+ */
+function orderByHealth(urls) {
+  const now = Date.now();
+  const healthy = urls.filter(u => !(unhealthyUntil.get(u) > now));
+  const unhealthy = urls
+    .filter(u => unhealthyUntil.get(u) > now)
+    .sort((a, b) => unhealthyUntil.get(a) - unhealthyUntil.get(b));
+  return [...healthy, ...unhealthy];
+}
+
+/**
+ * POST a JSON-RPC payload to one URL, without ethers' own 429 retry loop
+ */
+async function sendTo(url, payload, timeout) {
+  const request = new FetchRequest(url);
+  request.timeout = timeout;
+  request.setThrottleParams({ maxAttempts: 1 });
+  request.body = JSON.stringify(payload);
+  request.setHeader('content-type', 'application/json');
+
+  const response = await request.send();
+  response.assertOk();
+  return response.bodyJson;
+}
+
+/**
+ * JSON-RPC provider that fails over between several URLs
+ *
+ * Transport failures (timeouts, connection errors, HTTP errors including
+ * 429) move on to the next URL; once every URL has failed, the round is
+ * retried with exponential backoff. JSON-RPC errors such as reverts are
+ * answers, not failures, and are returned as-is.
+ */
+class FailoverProvider extends JsonRpcProvider {
+  constructor(urls, chainId, options = {}) {
+    const network = Network.from(chainId);
+    super(urls[0], network, { staticNetwork: network, batchMaxCount: 1 });
+    this.urls = urls;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.backoff = options.backoff ?? DEFAULT_BACKOFF;
+  }
+
+  async _send(payload) {
+    let lastError;
+    let broadcastFailed = false;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(this.backoff * 2 ** (attempt - 1));
+      }
+
+      for (const url of orderByHealth(this.urls)) {
+        try {
+          let resp = await sendTo(url, payload, this.timeout);
+          markHealthy(url);
+
+          // A broadcast that timed out may still have reached the mempool
+          if (broadcastFailed && payload.method === 'eth_sendRawTransaction' &&
+              resp.error && /already known|known transaction/i.test(resp.error.message)) {
+            resp = { jsonrpc: '2.0', id: payload.id, result: keccak256(payload.params[0]) };
+          }
+
+          return Array.isArray(resp) ? resp : [resp];
+        } catch (e) {
+          lastError = e;
+          broadcastFailed = true;
+          markUnhealthy(url);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+/**
+ * RPC URLs for a chain of a network profile, primary first
+ *
+ * OPTIMISM_RPC_URLS / BASE_RPC_URLS (comma-separated) replace the list.
+ *
+ * @param {string} chain - 'OPTIMISM' or 'BASE'
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {string[]}
+ */
+function getRpcUrls(chain, options = {}) {
+  const override = process.env[`${chain}_RPC_URLS`];
+  if (override) {
+    return override.split(',').map(u => u.trim()).filter(Boolean);
+  }
+
+  const network = getNetwork(options);
+  return [...new Set([network.rpc[chain], ...((network.rpcFallbacks || {})[chain] || [])])];
+}
+
+/**
+ * Create a provider with timeouts, retries and failover across RPC URLs
+ *
+ * @param {string} chain - 'OPTIMISM' or 'BASE' (ignored when options.urls is set)
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {string[]} [options.urls] - Explicit RPC URLs, in priority order
+ * @param {number} [options.chainId] - Chain ID for explicit URLs
+ * @param {number} [options.timeout=10000] - Per-request timeout (ms)
+ * @param {number} [options.retries=2] - Extra rounds over all URLs after every URL failed
+ * @param {number} [options.backoff=500] - Base backoff between rounds (ms), doubled each round
+ * @returns {JsonRpcProvider}
+ */
+function createProvider(chain, options = {}) {
+  let urls = options.urls;
+  let chainId = options.chainId;
+
+  if (!urls) {
+    urls = getRpcUrls(chain, options);
+    chainId = getNetwork(options).chainId[chain];
+  }
+  if (!urls || urls.length === 0 || !chainId) {
+    throw new Error(`No RPC URLs configured for ${chain}`);
+  }
+
+  return new FailoverProvider(urls, chainId, options);
+}
+
+/**
+ * Probe every RPC URL of a chain and record which are healthy
+ *
+ * Unhealthy URLs are moved to the back of the list for all providers.
+ *
+ * @param {string} chain - 'OPTIMISM' or 'BASE'
+ * @param {Object} [options] - Same as createProvider
+ * @returns {Promise<Array<{url: string, ok: boolean, latency: number, blockNumber: number|null, error: string|null}>>}
+ */
+async function checkRpcHealth(chain, options = {}) {
+  const urls = options.urls || getRpcUrls(chain, options);
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+
+  return Promise.all(urls.map(async (url) => {
+    const start = Date.now();
+    try {
+      const resp = await sendTo(url, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }, timeout);
+      if (resp.error) {
+        throw new Error(resp.error.message);
+      }
+      markHealthy(url);
+      return { url, ok: true, latency: Date.now() - start, blockNumber: Number(resp.result), error: null };
+    } catch (e) {
+      markUnhealthy(url);
+      return { url, ok: false, latency: Date.now() - start, blockNumber: null, error: e.shortMessage || e.message };
+    }
+  }));
+}
+
+// CLI usage
+if (require.main === module) {
+  const chains = process.argv[2] ? [process.argv[2].toUpperCase()] : ['OPTIMISM', 'BASE'];
+
+  if (!chains.every(c => c === 'OPTIMISM' || c === 'BASE')) {
+    console.log('Usage: node provider.js [optimism|base]');
+    console.log('\nChecks every configured RPC URL (OPTIMISM_RPC_URLS, BASE_RPC_URLS).');
+    process.exit(1);
+  }
+
+  (async () => {
+    let down = 0;
+    for (const chain of chains) {
+      console.log(`\n=== ${chain} (${getNetwork().name}) ===`);
+      for (const r of await checkRpcHealth(chain)) {
+        if (r.ok) {
+          console.log(`  OK    ${r.url}  block ${r.blockNumber}  ${r.latency}ms`);
+        } else {
+          down++;
+          console.log(`  DOWN  ${r.url}  ${r.error}`);
+        }
+      }
+    }
+    if (down > 0) {
+      process.exit(1);
+    }
+  })().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createProvider, getRpcUrls, checkRpcHealth };
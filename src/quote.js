@@ -0,0 +1,212 @@
+const { Contract, Transaction, AbiCoder, Interface, Wallet, hexlify, randomBytes, parseEther, formatEther, formatUnits } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+
+// Typical gas used on Optimism by IdGateway.register and KeyGateway.add,
+// for estimates made before a wallet exists (L2 execution only)
+const TYPICAL_GAS = {
+  register: 200000n,
+  addSigner: 250000n
+};
+
+// OP Stack GasPriceOracle predeploy, which prices the L1 data fee of a transaction
+const GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const GAS_PRICE_ORACLE_ABI = ['function getL1Fee(bytes data) view returns (uint256)'];
+
+/**
+ * Maximum registration price from options or MAX_REGISTRATION_PRICE (ETH)
+ *
+ * @param {Object} [options]
+ * @param {bigint|string} [options.maxPrice] - Cap in wei (bigint) or ETH (string)
+ * @returns {bigint|null} Cap in wei, or null when unlimited
+ */
+function getMaxPrice(options = {}) {
+  const value = options.maxPrice ?? process.env.MAX_REGISTRATION_PRICE;
+  if (value === undefined || value === null || value === '') return null;
+  return typeof value === 'bigint' ? value : parseEther(String(value));
+}
+
+/**
+ * Abort when a quoted price is above the configured maximum
+ *
+ * @param {bigint} price - Quoted price in wei
+ * @param {Object} [options] - See getMaxPrice
+ * @param {string} [label='Registration price'] - Used in the error message
+ */
+function checkMaxPrice(price, options = {}, label = 'Registration price') {
+  const maxPrice = getMaxPrice(options);
+  if (maxPrice !== null && price > maxPrice) {
+    throw new Error(`${label} ${formatEther(price)} ETH is above the maximum of ${formatEther(maxPrice)} ETH ` +
+      '(maxPrice / MAX_REGISTRATION_PRICE)');
+  }
+}
+
+/**
+ * Convert wei to USD with the StorageRegistry's ETH/USD price (8 decimals)
+ */
+function toUsd(wei, ethUsdPrice) {
+  return ethUsdPrice ? Number(formatUnits(wei * ethUsdPrice, 26)) : null;
+}
+
+/**
+ * Unsigned register and add transactions shaped like the real ones, so the
+ * GasPriceOracle can price their calldata (random bytes stand in for keys and
+ * signatures, which do not compress)
+ */
+function sampleTransactions(network, registrationPrice, feeData) {
+  const placeholder = Wallet.createRandom().address;
+  const metadata = AbiCoder.defaultAbiCoder().encode(
+    ['tuple(uint256 requestFid, address requestSigner, bytes signature, uint256 deadline)'],
+    [[1000000n, placeholder, hexlify(randomBytes(65)), BigInt(Math.floor(Date.now() / 1000) + 86400)]]
+  );
+  const base = {
+    type: 2,
+    chainId: network.chainId.OPTIMISM,
+    nonce: 0,
+    maxFeePerGas: feeData.maxFeePerGas ?? feeData.gasPrice,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ?? 0n
+  };
+
+  return [
+    Transaction.from({
+      ...base,
+      to: network.contracts.ID_GATEWAY,
+      value: registrationPrice,
+      gasLimit: TYPICAL_GAS.register,
+      data: new Interface(ABIS.ID_GATEWAY).encodeFunctionData('register', [placeholder])
+    }),
+    Transaction.from({
+      ...base,
+      to: network.contracts.KEY_GATEWAY,
+      gasLimit: TYPICAL_GAS.addSigner,
+      data: new Interface(ABIS.KEY_GATEWAY).encodeFunctionData('add', [1, hexlify(randomBytes(32)), 1, metadata])
+    })
+  ];
+}
+
+/**
+ * Sum of the L1 data fees of the account creation transactions
+ *
+ * @returns {Promise<bigint|null>} null when the chain has no GasPriceOracle (e.g. a local devnet)
+ */
+async function quoteL1Fee(provider, network, registrationPrice, feeData) {
+  const oracle = new Contract(GAS_PRICE_ORACLE, GAS_PRICE_ORACLE_ABI, provider);
+  try {
+    const fees = await Promise.all(
+      sampleTransactions(network, registrationPrice, feeData).map(tx => oracle.getL1Fee(tx.unsignedSerialized))
+    );
+    return fees.reduce((sum, fee) => sum + fee, 0n);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Quote the onchain cost of creating an account
+ *
+ * Reads the registration and storage prices, the current gas price, and
+ * the ETH/USD price the StorageRegistry uses for its own pricing. L2 gas is
+ * estimated from typical usage, since the account does not exist yet; the
+ * L1 data fee of the same calls comes from the OP Stack GasPriceOracle.
+ * When the oracle is unavailable, gas.l1Fee is null and the gas cost is a
+ * lower bound.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.extraStorage=0] - Storage units to rent on top of the one included with registration
+ * @param {bigint|string} [options.maxPrice] - Cap in wei (bigint) or ETH (string), reported as withinMaxPrice
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<Object>} Prices in wei with USD equivalents (null when the ETH/USD price is unavailable)
+ */
+async function quoteCosts(options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const idGateway = new Contract(network.contracts.ID_GATEWAY, ABIS.ID_GATEWAY, provider);
+  const storageRegistry = new Contract(network.contracts.STORAGE_REGISTRY, ABIS.STORAGE_REGISTRY, provider);
+  const extraStorage = BigInt(options.extraStorage || 0);
+
+  const [registrationPrice, storageUnitPrice, feeData, ethUsdPrice] = await Promise.all([
+    idGateway.price(),
+    storageRegistry.unitPrice(),
+    provider.getFeeData(),
+    storageRegistry.ethUsdPrice().catch(() => null)
+  ]);
+
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+  const gasUnits = TYPICAL_GAS.register + TYPICAL_GAS.addSigner;
+  const l1Fee = await quoteL1Fee(provider, network, registrationPrice, feeData);
+  const gasCost = gasUnits * gasPrice + (l1Fee ?? 0n);
+  const storageCost = storageUnitPrice * extraStorage;
+  const total = registrationPrice + storageCost + gasCost;
+  const maxPrice = getMaxPrice(options);
+
+  return {
+    network: network.name,
+    registrationPrice,
+    storageUnitPrice,
+    extraStorage: Number(extraStorage),
+    storageCost,
+    gas: { units: gasUnits, gasPrice, l1Fee, cost: gasCost },
+    total,
+    ethUsdPrice: ethUsdPrice !== null ? Number(formatUnits(ethUsdPrice, 8)) : null,
+    usd: {
+      registrationPrice: toUsd(registrationPrice, ethUsdPrice),
+      storageUnitPrice: toUsd(storageUnitPrice, ethUsdPrice),
+      storageCost: toUsd(storageCost, ethUsdPrice),
+      gas: toUsd(gasCost, ethUsdPrice),
+      total: toUsd(total, ethUsdPrice)
+    },
+    maxPrice,
+    withinMaxPrice: maxPrice === null || registrationPrice + storageCost <= maxPrice
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const storageIndex = args.indexOf('--extra-storage');
+  const extraStorage = storageIndex !== -1 ? parseInt(args[storageIndex + 1]) : 0;
+
+  if (args.includes('--help') || Number.isNaN(extraStorage)) {
+    console.log('Usage: node quote.js [--extra-storage <units>]');
+    console.log('\nReports registration, storage and gas costs on Optimism with USD equivalents.');
+    console.log('MAX_REGISTRATION_PRICE (ETH) is checked against registration + storage.');
+    process.exit(1);
+  }
+
+  quoteCosts({ extraStorage })
+    .then(q => {
+      const line = (label, wei, usd) => {
+        console.log(`  ${label.padEnd(22)} ${formatEther(wei).padEnd(22)} ETH` + (usd !== null ? `  ~$${usd.toFixed(2)}` : ''));
+      };
+
+      console.log(`\n=== Cost Quote (${q.network}) ===`);
+      line('Registration', q.registrationPrice, q.usd.registrationPrice);
+      line('Storage unit', q.storageUnitPrice, q.usd.storageUnitPrice);
+      if (q.extraStorage > 0) {
+        line(`Extra storage (${q.extraStorage})`, q.storageCost, q.usd.storageCost);
+      }
+      line(q.gas.l1Fee !== null ? `Gas (~${q.gas.units} + L1)` : `Gas (>= ~${q.gas.units})`, q.gas.cost, q.usd.gas);
+      line('Total', q.total, q.usd.total);
+      console.log(`\n  Gas price: ${formatUnits(q.gas.gasPrice, 'gwei')} gwei`);
+      if (q.gas.l1Fee !== null) {
+        console.log(`  L1 fee:    ${formatEther(q.gas.l1Fee)} ETH (GasPriceOracle)`);
+      } else {
+        console.log('  L1 fee:    unavailable, gas is a lower bound');
+      }
+      if (q.ethUsdPrice !== null) {
+        console.log(`  ETH/USD:   ${q.ethUsdPrice} (StorageRegistry)`);
+      }
+      if (q.maxPrice !== null) {
+        console.log(`  Max price: ${formatEther(q.maxPrice)} ETH (${q.withinMaxPrice ? 'OK' : 'EXCEEDED'})`);
+        if (!q.withinMaxPrice) {
+          process.exit(1);
+        }
+      }
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { quoteCosts, getMaxPrice, checkMaxPrice };
@@ -0,0 +1,123 @@
+const { Interface, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+
+// How long to wait for a transaction to be mined before checking whether it was dropped
+const DEFAULT_RECEIPT_TIMEOUT = 300000;
+
+const idRegistryInterface = new Interface(ABIS.ID_REGISTRY);
+const keyRegistryInterface = new Interface(ABIS.KEY_REGISTRY);
+
+/**
+ * Wait for a transaction to be mined and make sure it succeeded
+ *
+ * - Reverted receipts throw with the block number.
+ * - A replacement with the same call and more gas ("repriced") is followed,
+ *   and its receipt returned; any other replacement throws with the hash of
+ *   the transaction that took the nonce.
+ * - A transaction that is not mined within the timeout and is no longer
+ *   known to the node is reported as dropped.
+ *
+ * @param {TransactionResponse} tx - Sent transaction
+ * @param {Object} [options]
+ * @param {number} [options.confirmations=1] - Blocks to wait for
+ * @param {number} [options.timeout=300000] - Time to wait for the receipt (ms)
+ * @returns {Promise<TransactionReceipt>}
+ */
+async function waitForReceipt(tx, options = {}) {
+  const confirmations = options.confirmations ?? 1;
+  const timeout = options.timeout ?? DEFAULT_RECEIPT_TIMEOUT;
+  let receipt;
+
+  try {
+    receipt = await tx.wait(confirmations, timeout);
+  } catch (e) {
+    if (e.code === 'TRANSACTION_REPLACED') {
+      if (e.reason === 'repriced' && e.receipt && e.receipt.status === 1) {
+        console.log('Transaction repriced, now:', e.receipt.hash);
+        return e.receipt;
+      }
+      throw new Error(`Transaction ${tx.hash} was ${e.reason} by ${e.replacement ? e.replacement.hash : 'another transaction'}`);
+    }
+
+    if (e.code === 'CALL_EXCEPTION' && e.receipt) {
+      throw new Error(`Transaction ${tx.hash} reverted in block ${e.receipt.blockNumber}`);
+    }
+
+    if (e.code === 'TIMEOUT') {
+      const pending = await tx.provider.getTransaction(tx.hash);
+      if (!pending) {
+        throw new Error(`Transaction ${tx.hash} was dropped from the mempool`);
+      }
+      throw new Error(`Transaction ${tx.hash} still not mined after ${timeout / 1000}s`);
+    }
+
+    throw e;
+  }
+
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`Transaction ${tx.hash} reverted${receipt ? ` in block ${receipt.blockNumber}` : ''}`);
+  }
+
+  return receipt;
+}
+
+/**
+ * Decode the logs a contract emitted in a receipt
+ */
+function parseLogs(receipt, address, iface, eventName) {
+  return receipt.logs
+    .filter(log => getAddress(log.address) === getAddress(address))
+    .map(log => {
+      try {
+        return iface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(parsed => parsed && parsed.name === eventName);
+}
+
+/**
+ * Read the IdRegistry Register event from a registration receipt
+ *
+ * @param {TransactionReceipt} receipt
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {{fid: bigint, to: string, recoveryAddress: string}}
+ */
+function parseRegisterEvent(receipt, options = {}) {
+  const network = getNetwork(options);
+  const [event] = parseLogs(receipt, network.contracts.ID_REGISTRY, idRegistryInterface, 'Register');
+
+  if (!event) {
+    throw new Error(`No Register event in transaction ${receipt.hash}`);
+  }
+
+  return { fid: event.args.id, to: event.args.to, recoveryAddress: event.args.recovery };
+}
+
+/**
+ * Read the KeyRegistry Add events from a key addition receipt
+ *
+ * @param {TransactionReceipt} receipt
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Array<{fid: bigint, keyType: number, key: string, metadataType: number}>} Keys as hex without 0x
+ */
+function parseAddEvents(receipt, options = {}) {
+  const network = getNetwork(options);
+  const events = parseLogs(receipt, network.contracts.KEY_REGISTRY, keyRegistryInterface, 'Add');
+
+  if (events.length === 0) {
+    throw new Error(`No Add event in transaction ${receipt.hash}`);
+  }
+
+  return events.map(event => ({
+    fid: event.args.fid,
+    keyType: Number(event.args.keyType),
+    key: event.args.keyBytes.slice(2),
+    metadataType: Number(event.args.metadataType)
+  }));
+}
+
+module.exports = { waitForReceipt, parseRegisterEvent, parseAddEvents };
@@ -0,0 +1,231 @@
+const { Wallet, Contract, getAddress } = require('ethers');
+const { ABIS, EIP712_TYPES, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt } = require('./receipts');
+const { loadCredentials, updateCredentials } = require('./credentials');
+
+// Default validity of a Transfer signature: 1 hour
+const TRANSFER_DEADLINE_SECONDS = 3600;
+
+/**
+ * Sign an IdRegistry EIP-712 Transfer message as the receiving wallet
+ *
+ * The IdRegistry requires the destination address to consent to receiving
+ * an FID, both for transfers and for recovery.
+ *
+ * @param {string} toPrivateKey - Private key of the wallet receiving the FID
+ * @param {string|bigint} fid - FID being moved
+ * @param {Object} [options]
+ * @param {bigint} [options.deadline] - Signature expiry (unix seconds)
+ * @param {string} [options.recovery] - Sign a TransferAndChangeRecovery message with this recovery address
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{to: string, deadline: bigint, signature: string}>}
+ */
+async function signTransfer(toPrivateKey, fid, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const toWallet = new Wallet(toPrivateKey, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+
+  const nonce = await idRegistry.nonces(toWallet.address);
+  const deadline = options.deadline || BigInt(Math.floor(Date.now() / 1000) + TRANSFER_DEADLINE_SECONDS);
+
+  const signature = options.recovery
+    ? await toWallet.signTypedData(
+      network.eip712.ID_REGISTRY,
+      EIP712_TYPES.TRANSFER_AND_CHANGE_RECOVERY,
+      {
+        fid: BigInt(fid),
+        to: toWallet.address,
+        recovery: getAddress(options.recovery),
+        nonce,
+        deadline
+      }
+    )
+    : await toWallet.signTypedData(
+      network.eip712.ID_REGISTRY,
+      EIP712_TYPES.TRANSFER,
+      {
+        fid: BigInt(fid),
+        to: toWallet.address,
+        nonce,
+        deadline
+      }
+    );
+
+  return { to: toWallet.address, deadline, signature };
+}
+
+/**
+ * Change the recovery address of the custody wallet's FID
+ *
+ * @param {string} privateKey - Custody wallet private key
+ * @param {string} recoveryAddress - New recovery address
+ * @param {Object} [options]
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: bigint, recoveryAddress: string, txHash: string}>}
+ */
+async function changeRecoveryAddress(privateKey, recoveryAddress, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, wallet);
+  const recovery = getAddress(recoveryAddress);
+
+  const fid = await idRegistry.idOf(wallet.address);
+  if (fid === 0n) {
+    throw new Error('No FID registered to this address.');
+  }
+
+  const current = await idRegistry.recoveryOf(fid);
+  console.log('FID:', fid.toString());
+  console.log('Current recovery address:', current);
+
+  if (current === recovery) {
+    console.log('Recovery address already set.');
+    return { fid, recoveryAddress: recovery, txHash: null };
+  }
+
+  console.log('Changing recovery address to:', recovery);
+  const tx = await sendTransaction(idRegistry, 'changeRecoveryAddress', [recovery], {}, options.gas);
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+
+  console.log('SUCCESS! Recovery address changed.');
+  return { fid, recoveryAddress: recovery, txHash: receipt.hash };
+}
+
+/**
+ * Recover an FID to a new custody address, signed by the recovery wallet
+ *
+ * The destination's EIP-712 Transfer signature is either produced here
+ * (pass `toPrivateKey`) or supplied by the destination (`to`, `signature`,
+ * `deadline`, e.g. from `node recovery.js sign-transfer`).
+ *
+ * @param {string} recoveryPrivateKey - Recovery wallet private key
+ * @param {Object} options
+ * @param {string|bigint} options.fid - FID to recover
+ * @param {string} [options.toPrivateKey] - Destination private key (signs locally)
+ * @param {string} [options.to] - Destination address (with signature/deadline)
+ * @param {string} [options.signature] - Destination's Transfer signature
+ * @param {bigint} [options.deadline] - Signature deadline
+ * @param {string|Object} [options.keystore] - Key store to update with the new custody key
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: bigint, from: string, to: string, txHash: string}>}
+ */
+async function recoverFid(recoveryPrivateKey, options) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const recoveryWallet = new Wallet(recoveryPrivateKey, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, recoveryWallet);
+  const fid = BigInt(options.fid);
+
+  // Preflight: we must be the recovery address, and the destination must not own an FID
+  const [from, recoveryOf] = await Promise.all([
+    idRegistry.custodyOf(fid),
+    idRegistry.recoveryOf(fid)
+  ]);
+
+  if (from === '0x0000000000000000000000000000000000000000') {
+    throw new Error(`FID ${fid} is not registered`);
+  }
+  if (recoveryOf !== recoveryWallet.address) {
+    throw new Error(`Recovery address for FID ${fid} is ${recoveryOf}, not ${recoveryWallet.address}`);
+  }
+
+  let to, signature, deadline;
+  if (options.toPrivateKey) {
+    ({ to, signature, deadline } = await signTransfer(options.toPrivateKey, fid, { deadline: options.deadline, network }));
+  } else if (options.to && options.signature && options.deadline) {
+    to = getAddress(options.to);
+    signature = options.signature;
+    deadline = BigInt(options.deadline);
+  } else {
+    throw new Error('Provide toPrivateKey, or to + signature + deadline from the destination wallet');
+  }
+
+  const existing = await idRegistry.idOf(to);
+  if (existing > 0n) {
+    throw new Error(`Destination ${to} already owns FID ${existing}`);
+  }
+
+  console.log('Recovering FID:', fid.toString());
+  console.log('From custody:', from);
+  console.log('To custody:', to);
+
+  const tx = await sendTransaction(idRegistry, 'recover', [from, to, deadline, signature], {}, options.gas);
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+
+  console.log('SUCCESS! FID recovered.');
+
+  // Point stored credentials at the new custody wallet when we hold its key
+  if (options.toPrivateKey && loadCredentials({ fid: fid.toString(), keystore: options.keystore })) {
+    updateCredentials(fid.toString(), {
+      custodyAddress: to,
+      custodyPrivateKey: options.toPrivateKey
+    }, { keystore: options.keystore });
+    console.log('Credentials updated with new custody wallet.');
+  }
+
+  return { fid, from, to, txHash: receipt.hash };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  let run;
+  if (command === 'set-recovery' && args[0] && process.env.PRIVATE_KEY) {
+    run = changeRecoveryAddress(process.env.PRIVATE_KEY, args[0])
+      .then(({ recoveryAddress, txHash }) => {
+        console.log('\n=== Recovery Address Set ===');
+        console.log('Recovery address:', recoveryAddress);
+        if (txHash) console.log('TX:', txHash);
+      });
+  } else if (command === 'sign-transfer' && args[0] && process.env.PRIVATE_KEY) {
+    run = signTransfer(process.env.PRIVATE_KEY, args[0], { recovery: args[1] })
+      .then(({ to, deadline, signature }) => {
+        console.log('\n=== Transfer Signature ===');
+        console.log('To:', to);
+        console.log('Deadline:', deadline.toString());
+        console.log('Signature:', signature);
+      });
+  } else if (command === 'recover' && args[0] && process.env.RECOVERY_PRIVATE_KEY &&
+             (process.env.NEW_CUSTODY_PRIVATE_KEY || args.length >= 4)) {
+    run = recoverFid(process.env.RECOVERY_PRIVATE_KEY, {
+      fid: args[0],
+      toPrivateKey: process.env.NEW_CUSTODY_PRIVATE_KEY,
+      to: args[1],
+      signature: args[2],
+      deadline: args[3]
+    }).then(({ fid, to, txHash }) => {
+      console.log('\n=== Recovery Complete ===');
+      console.log('FID:', fid.toString());
+      console.log('New custody address:', to);
+      console.log('TX:', txHash);
+    });
+  } else {
+    console.log('Usage:');
+    console.log('  PRIVATE_KEY=0x... node recovery.js set-recovery <address>');
+    console.log('      Change the recovery address of your FID (custody wallet signs)');
+    console.log('  PRIVATE_KEY=0x... node recovery.js sign-transfer <fid> [newRecovery]');
+    console.log('      Produce the destination wallet\'s Transfer signature for a recovery or transfer');
+    console.log('  RECOVERY_PRIVATE_KEY=0x... NEW_CUSTODY_PRIVATE_KEY=0x... node recovery.js recover <fid>');
+    console.log('  RECOVERY_PRIVATE_KEY=0x... node recovery.js recover <fid> <to> <signature> <deadline>');
+    console.log('      Move the FID to a new custody wallet (recovery wallet signs)');
+    process.exit(1);
+  }
+
+  run.catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { signTransfer, changeRecoveryAddress, recoverFid };
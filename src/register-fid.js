@@ -1,5 +1,12 @@
-const { Wallet, JsonRpcProvider, Contract, formatEther } = require('ethers');
-const { CONTRACTS, RPC, ABIS } = require('./config');
+const { Wallet, Contract, formatEther, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { checkMaxPrice } = require('./quote');
+const { waitForReceipt, parseRegisterEvent } = require('./receipts');
+
+// Overpayment sent with the registration in case the price moves; the IdGateway refunds it
+const PRICE_BUFFER = 50000000000000n;
 
 /**
  * Register a new Farcaster ID (FID)
@@ -8,69 +15,77 @@ const { CONTRACTS, RPC, ABIS } = require('./config');
  * - Wallet with ETH on Optimism (0.002-0.005 ETH for registration + gas)
  *
  * @param {string} privateKey - Wallet private key (with 0x prefix)
- * @returns {Promise<{fid: bigint, txHash: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.recoveryAddress] - Address allowed to recover the FID (defaults to the custody wallet)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {bigint|string} [options.maxPrice] - Abort above this price, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @returns {Promise<{fid: bigint, txHash: string, recoveryAddress: string}>}
  */
-async function registerFid(privateKey) {
-  const provider = new JsonRpcProvider(RPC.OPTIMISM);
+async function registerFid(privateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
   const wallet = new Wallet(privateKey, provider);
+  const recoveryAddress = options.recoveryAddress ? getAddress(options.recoveryAddress) : wallet.address;
 
   console.log('Wallet address:', wallet.address);
+  console.log('Recovery address:', recoveryAddress);
+  if (recoveryAddress === wallet.address) {
+    console.log('Warning: recovery address is the custody wallet itself, so the FID cannot be recovered if this key is lost.');
+  }
 
   // Check balance
   const balance = await provider.getBalance(wallet.address);
   console.log('Balance:', formatEther(balance), 'ETH');
 
   // Check if already registered
-  const idRegistry = new Contract(CONTRACTS.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
   const existingFid = await idRegistry.idOf(wallet.address);
 
   if (existingFid > 0n) {
     console.log('Already registered with FID:', existingFid.toString());
-    return { fid: existingFid, txHash: null };
+    return { fid: existingFid, txHash: null, recoveryAddress: await idRegistry.recoveryOf(existingFid) };
   }
 
   // Get registration price
-  const idGateway = new Contract(CONTRACTS.ID_GATEWAY, ABIS.ID_GATEWAY, wallet);
+  const idGateway = new Contract(network.contracts.ID_GATEWAY, ABIS.ID_GATEWAY, wallet);
   const price = await idGateway.price();
   console.log('Registration price:', formatEther(price), 'ETH');
+  checkMaxPrice(price, options);
 
-  if (balance < price) {
-    throw new Error(`Insufficient balance. Need ${formatEther(price)} ETH, have ${formatEther(balance)} ETH`);
+  if (balance < price + PRICE_BUFFER) {
+    throw new Error(`Insufficient balance. Need ${formatEther(price + PRICE_BUFFER)} ETH, have ${formatEther(balance)} ETH`);
   }
 
   // Register
   console.log('Registering FID...');
-  const tx = await idGateway.register(
-    wallet.address, // recovery address = self
-    {
-      value: price + 50000000000000n, // Add buffer for safety
-      gasLimit: 400000n
-    }
-  );
+  const tx = await sendTransaction(idGateway, 'register', [recoveryAddress], {
+    value: price + PRICE_BUFFER
+  }, options.gas);
 
   console.log('Transaction:', tx.hash);
   console.log('Waiting for confirmation...');
 
-  await tx.wait();
-
-  // Get the new FID
-  const fid = await idRegistry.idOf(wallet.address);
+  const receipt = await waitForReceipt(tx);
+  const { fid, recoveryAddress: registeredRecovery } = parseRegisterEvent(receipt, { network });
   console.log('SUCCESS! Registered FID:', fid.toString());
 
-  return { fid, txHash: tx.hash };
+  return { fid, txHash: receipt.hash, recoveryAddress: registeredRecovery };
 }
 
 // CLI usage
 if (require.main === module) {
   const privateKey = process.env.PRIVATE_KEY || process.argv[2];
+  const recoveryAddress = process.env.RECOVERY_ADDRESS;
 
   if (!privateKey) {
-    console.log('Usage: PRIVATE_KEY=0x... node register-fid.js');
+    console.log('Usage: PRIVATE_KEY=0x... [RECOVERY_ADDRESS=0x...] node register-fid.js');
     console.log('   or: node register-fid.js 0x...');
+    console.log('\nRECOVERY_ADDRESS defaults to the custody wallet itself.');
     process.exit(1);
   }
 
-  registerFid(privateKey)
+  registerFid(privateKey, { recoveryAddress })
     .then(({ fid, txHash }) => {
       console.log('\n=== Registration Complete ===');
       console.log('FID:', fid.toString());
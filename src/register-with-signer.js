@@ -0,0 +1,188 @@
+const { Wallet, Contract, formatEther, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { checkMaxPrice } = require('./quote');
+const { waitForReceipt, parseRegisterEvent, parseAddEvents } = require('./receipts');
+const { generateSignerKeyPair, encodeSignedKeyRequest } = require('./add-signer');
+const { signRegister, signAdd } = require('./gateway-signatures');
+
+// Overpayment sent with the bundle in case the price moves; the Bundler refunds it
+const PRICE_BUFFER = 50000000000000n;
+
+// ETH kept aside for gas when deciding whether the bundle is affordable
+const GAS_RESERVE = 100000000000000n;
+
+/**
+ * Quote a Bundler registration and check whether an address can use it
+ *
+ * An address that already owns an FID cannot register through the Bundler,
+ * so it is never `affordable`; `existingFid` tells callers to add a signer
+ * to that FID instead.
+ *
+ * @param {string} address - Custody wallet address
+ * @param {Object} [options]
+ * @param {number} [options.extraStorage=0] - Storage units to rent on top of the one included with registration
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{price: bigint, balance: bigint, existingFid: bigint, affordable: boolean}>} existingFid is 0n when unregistered
+ */
+async function quoteRegisterWithSigner(address, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const bundler = new Contract(network.contracts.BUNDLER, ABIS.BUNDLER, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+
+  const [price, balance, existingFid] = await Promise.all([
+    bundler.price(BigInt(options.extraStorage || 0)),
+    provider.getBalance(address),
+    idRegistry.idOf(address)
+  ]);
+
+  return {
+    price,
+    balance,
+    existingFid,
+    affordable: existingFid === 0n && balance >= price + PRICE_BUFFER + GAS_RESERVE
+  };
+}
+
+/**
+ * Register an FID, add a signer key and rent storage in one transaction
+ * through the Bundler contract
+ *
+ * The signer key request is self-signed by the FID being registered, so its
+ * FID is predicted from IdRegistry.idCounter(). If another registration lands
+ * first the transaction reverts and nothing but gas is spent; just retry.
+ *
+ * Prerequisites:
+ * - Wallet with ETH on Optimism (Bundler price + gas)
+ *
+ * @param {string} privateKey - Custody wallet private key
+ * @param {Object} [options]
+ * @param {string} [options.recoveryAddress] - Recovery address (defaults to the custody wallet)
+ * @param {number} [options.extraStorage=0] - Extra storage units to rent
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {bigint|string} [options.maxPrice] - Abort above this price, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @returns {Promise<{fid: bigint, signerPublicKey: string, signerPrivateKey: string, recoveryAddress: string, txHash: string}>}
+ */
+async function registerWithSigner(privateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+  const recoveryAddress = options.recoveryAddress ? getAddress(options.recoveryAddress) : wallet.address;
+  const extraStorage = BigInt(options.extraStorage || 0);
+
+  console.log('Wallet address:', wallet.address);
+  console.log('Recovery address:', recoveryAddress);
+
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const existingFid = await idRegistry.idOf(wallet.address);
+
+  if (existingFid > 0n) {
+    throw new Error(`Already registered with FID ${existingFid}. Use add-signer.js to add a key.`);
+  }
+
+  // Price covers registration, one storage unit and any extra units
+  const bundler = new Contract(network.contracts.BUNDLER, ABIS.BUNDLER, wallet);
+  const [price, balance] = await Promise.all([
+    bundler.price(extraStorage),
+    provider.getBalance(wallet.address)
+  ]);
+
+  console.log('Balance:', formatEther(balance), 'ETH');
+  console.log('Bundle price:', formatEther(price), 'ETH', extraStorage > 0n ? `(${extraStorage} extra storage units)` : '');
+  checkMaxPrice(price, options, 'Bundle price');
+
+  if (balance < price + PRICE_BUFFER) {
+    throw new Error(`Insufficient balance. Need ${formatEther(price + PRICE_BUFFER)} ETH, have ${formatEther(balance)} ETH`);
+  }
+
+  // Generate the signer key
+  const { signerPublicKey, signerPrivateKey } = generateSignerKeyPair();
+  const keyBytes = '0x' + signerPublicKey;
+
+  console.log('\nGenerated signer keypair:');
+  console.log('Public Key:', signerPublicKey);
+  console.log('Private Key:', signerPrivateKey);
+
+  // Deadline: 1 hour for the bundle signatures, 24 hours for the key request
+  const now = Math.floor(Date.now() / 1000);
+  const deadline = BigInt(now + 3600);
+  const keyRequestDeadline = BigInt(now + 86400);
+
+  const predictedFid = (await idRegistry.idCounter()) + 1n;
+  console.log('\nPredicted FID:', predictedFid.toString());
+
+  console.log('Signing key request, registration and key add...');
+  const metadata = await encodeSignedKeyRequest(wallet, predictedFid, keyBytes, keyRequestDeadline, { network });
+  const registerSig = await signRegister(wallet, recoveryAddress, deadline, { network });
+  const addSig = await signAdd(wallet, keyBytes, metadata, deadline, { network });
+
+  console.log('Submitting bundle...');
+  const tx = await sendTransaction(bundler, 'register', [
+    { to: wallet.address, recovery: recoveryAddress, deadline, sig: registerSig },
+    [{
+      keyType: 1,      // ED25519
+      key: keyBytes,
+      metadataType: 1, // SignedKeyRequest
+      metadata,
+      deadline,
+      sig: addSig
+    }],
+    extraStorage
+  ], {
+    value: price + PRICE_BUFFER
+  }, options.gas);
+
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+
+  const receipt = await waitForReceipt(tx);
+  const { fid, recoveryAddress: registeredRecovery } = parseRegisterEvent(receipt, { network });
+  const added = parseAddEvents(receipt, { network });
+
+  if (!added.some(k => k.fid === fid && k.key === signerPublicKey)) {
+    throw new Error(`Transaction ${receipt.hash} registered FID ${fid} but did not add the signer key`);
+  }
+
+  console.log('SUCCESS! Registered FID', fid.toString(), 'with signer key.');
+
+  return {
+    fid,
+    signerPublicKey,
+    signerPrivateKey,
+    recoveryAddress: registeredRecovery,
+    txHash: receipt.hash
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const storageIndex = args.indexOf('--extra-storage');
+  const extraStorage = storageIndex !== -1 ? parseInt(args[storageIndex + 1]) : 0;
+  const privateKey = process.env.PRIVATE_KEY || args.find(a => a.startsWith('0x'));
+
+  if (!privateKey) {
+    console.log('Usage: PRIVATE_KEY=0x... [RECOVERY_ADDRESS=0x...] node register-with-signer.js [--extra-storage N]');
+    console.log('\nRegisters an FID, adds a signer key and rents storage in a single Bundler transaction.');
+    process.exit(1);
+  }
+
+  registerWithSigner(privateKey, { recoveryAddress: process.env.RECOVERY_ADDRESS, extraStorage })
+    .then(({ fid, signerPublicKey, signerPrivateKey, txHash }) => {
+      console.log('\n=== Registration Complete ===');
+      console.log('FID:', fid.toString());
+      console.log('Signer Public Key:', signerPublicKey);
+      console.log('Signer Private Key:', signerPrivateKey);
+      console.log('TX:', txHash);
+      console.log('\nSAVE THE SIGNER PRIVATE KEY - you need it to post casts!');
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { registerWithSigner, quoteRegisterWithSigner };
@@ -0,0 +1,201 @@
+const { Wallet, Contract } = require('ethers');
+const readline = require('readline');
+const { ABIS, KEY_STATE, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt } = require('./receipts');
+const { loadCredentials, updateCredentials, getKeyStore } = require('./credentials');
+
+/**
+ * Normalize a signer public key to bare lowercase hex
+ */
+function toHex(key) {
+  return key.replace(/^0x/, '').toLowerCase();
+}
+
+/**
+ * Record revoked signer keys on the stored account for an FID
+ *
+ * Appends to `revokedSigners` and flags `signerRevoked` if the account's
+ * current signer was one of them.
+ */
+function markRevoked(fid, revoked, options = {}) {
+  const stored = loadCredentials({ fid, keystore: options.keystore });
+  if (!stored || revoked.length === 0) {
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const updates = {
+    revokedSigners: [
+      ...(stored.revokedSigners || []),
+      ...revoked.map(r => ({ publicKey: r.publicKey, txHash: r.txHash, revokedAt: now }))
+    ]
+  };
+
+  if (stored.signerPublicKey && revoked.some(r => r.publicKey === toHex(stored.signerPublicKey))) {
+    updates.signerRevoked = true;
+  }
+
+  updateCredentials(fid, updates, { keystore: options.keystore });
+  return true;
+}
+
+/**
+ * Record one revoked key as soon as its removal is confirmed
+ *
+ * The revocation is already onchain at this point, so a read-only or failing
+ * key store only produces a warning.
+ */
+function recordRevoked(fid, revoked, options = {}) {
+  try {
+    const store = getKeyStore({ keystore: options.keystore });
+    if (store.readOnly) {
+      console.warn(`Warning: the ${store.name} key store is read-only, revocation of ${revoked.publicKey} not recorded.`);
+      return;
+    }
+    if (markRevoked(fid, [revoked], options)) {
+      console.log('Credential store updated.');
+    }
+  } catch (e) {
+    console.warn(`Warning: revocation of ${revoked.publicKey} not recorded in the key store:`, e.message);
+  }
+}
+
+/**
+ * Ask for confirmation on the terminal
+ *
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>}
+ */
+function promptConfirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(`${question} [y/N] `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Revoke signer keys for the custody wallet's FID via KeyRegistry.remove
+ *
+ * Either pass the keys to revoke, or `allExcept` to revoke every active key
+ * except one. Each revoked key is recorded in the credential store once its
+ * transaction is confirmed; failing to record it only logs a warning.
+ *
+ * @param {string} privateKey - Custody wallet private key
+ * @param {Object} options
+ * @param {string[]} [options.keys] - Signer public keys (hex) to revoke
+ * @param {string} [options.allExcept] - Revoke all active keys except this one
+ * @param {Function} [options.confirm] - async (keys) => boolean, called before sending transactions
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: string, revoked: Array<{publicKey: string, txHash: string}>, skipped: string[]}>}
+ */
+async function revokeSigner(privateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const fid = (await idRegistry.idOf(wallet.address)).toString();
+
+  if (fid === '0') {
+    throw new Error('No FID registered to this address.');
+  }
+
+  const keyRegistry = new Contract(network.contracts.KEY_REGISTRY, ABIS.KEY_REGISTRY, wallet);
+
+  let targets;
+  if (options.allExcept) {
+    const keep = toHex(options.allExcept);
+    const active = await keyRegistry.keysOf(fid, KEY_STATE.ADDED);
+    targets = active.map(toHex).filter(k => k !== keep);
+  } else if (options.keys && options.keys.length > 0) {
+    targets = options.keys.map(toHex);
+  } else {
+    throw new Error('Specify signer keys to revoke, or allExcept');
+  }
+
+  // Only keys currently ADDED can be removed
+  const toRemove = [];
+  const skipped = [];
+  for (const key of targets) {
+    const keyData = await keyRegistry.keyDataOf(fid, '0x' + key);
+    if (Number(keyData.state) === KEY_STATE.ADDED) {
+      toRemove.push(key);
+    } else {
+      skipped.push(key);
+    }
+  }
+
+  console.log('FID:', fid);
+  if (skipped.length > 0) {
+    console.log('Not active, skipping:', skipped.join(', '));
+  }
+  if (toRemove.length === 0) {
+    console.log('No active signer keys to revoke.');
+    return { fid, revoked: [], skipped };
+  }
+
+  if (options.confirm && !(await options.confirm(toRemove))) {
+    throw new Error('Revocation cancelled');
+  }
+
+  const revoked = [];
+  for (const key of toRemove) {
+    console.log('Revoking signer:', key);
+    const tx = await sendTransaction(keyRegistry, 'remove', ['0x' + key], {}, options.gas);
+    console.log('Transaction:', tx.hash);
+    const receipt = await waitForReceipt(tx);
+    revoked.push({ publicKey: key, txHash: receipt.hash });
+    recordRevoked(fid, revoked[revoked.length - 1], options);
+  }
+
+  return { fid, revoked, skipped };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const yes = args.includes('--yes');
+  const exceptIndex = args.indexOf('--all-except');
+  const allExcept = exceptIndex !== -1 ? args[exceptIndex + 1] : null;
+  const keys = args.filter((a, i) => !a.startsWith('--') && (exceptIndex === -1 || i !== exceptIndex + 1));
+  const privateKey = process.env.PRIVATE_KEY || loadCredentials({ fid: process.env.FID })?.custodyPrivateKey;
+
+  if (!privateKey || (!allExcept && keys.length === 0)) {
+    console.log('Usage: PRIVATE_KEY=0x... node revoke-signer.js <signerPublicKey...> [--yes]');
+    console.log('   or: PRIVATE_KEY=0x... node revoke-signer.js --all-except <signerPublicKey> [--yes]');
+    console.log('\nRemoves signer keys from the KeyRegistry so they can no longer sign messages.');
+    console.log('Without PRIVATE_KEY, the custody key of the stored account (FID or active) is used.');
+    console.log('\nOptions:');
+    console.log('  --all-except <key>  Revoke every active signer except this one');
+    console.log('  --yes               Skip the confirmation prompt');
+    process.exit(1);
+  }
+
+  const confirm = yes
+    ? null
+    : (toRemove) => {
+      console.log('\nAbout to revoke:');
+      toRemove.forEach(k => console.log('  ' + k));
+      return promptConfirm('This cannot be undone. Continue?');
+    };
+
+  revokeSigner(privateKey, { keys, allExcept, confirm })
+    .then(({ revoked }) => {
+      console.log('\n=== Revocation Complete ===');
+      console.log('Revoked:', revoked.length);
+      revoked.forEach(r => console.log(`  ${r.publicKey} (TX: ${r.txHash})`));
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { revokeSigner };
@@ -0,0 +1,207 @@
+const { Wallet, Contract } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { addSigner } = require('./add-signer');
+const { revokeSigner } = require('./revoke-signer');
+const { checkSignerSync } = require('./hub-client');
+const { loadCredentials, updateCredentials } = require('./credentials');
+
+// Hub sync polling (each check is a paid x402 call)
+const SYNC_POLL_INTERVAL_MS = 10000;
+const SYNC_MAX_ATTEMPTS = 30;
+
+/**
+ * Normalize a signer key from a hub response (hex or base64) to bare hex
+ */
+function normalizeKey(key) {
+  if (typeof key !== 'string') {
+    return null;
+  }
+  if (key.startsWith('0x')) {
+    return key.slice(2).toLowerCase();
+  }
+  return Buffer.from(key, 'base64').toString('hex');
+}
+
+/**
+ * Check whether an onChainSignersByFid response contains an added signer key
+ *
+ * @param {Object} data - Parsed hub response
+ * @param {string} signerPublicKey - Signer public key (hex)
+ * @returns {boolean}
+ */
+function hasSyncedSigner(data, signerPublicKey) {
+  const wanted = signerPublicKey.replace(/^0x/, '').toLowerCase();
+  const events = data?.events || [];
+
+  return events.some(event => {
+    const body = event.signerEventBody || {};
+    return normalizeKey(body.key) === wanted &&
+      (!body.eventType || body.eventType === 'SIGNER_EVENT_TYPE_ADD');
+  });
+}
+
+/**
+ * Wait until the hub reports a signer key for an FID
+ *
+ * @param {Wallet} wallet - Wallet used for x402 payments (Base)
+ * @param {string|bigint} fid - Farcaster ID
+ * @param {string} signerPublicKey - Signer public key (hex)
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Max polls
+ * @param {number} [options.interval] - Delay between polls (ms)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<boolean>} true once synced
+ */
+async function waitForSignerSync(wallet, fid, signerPublicKey, options = {}) {
+  const { attempts = SYNC_MAX_ATTEMPTS, interval = SYNC_POLL_INTERVAL_MS } = options;
+
+  for (let i = 0; i < attempts; i++) {
+    const result = await checkSignerSync(wallet, fid.toString(), { network: options.network });
+    if (result.status === 200 && hasSyncedSigner(result.data, signerPublicKey)) {
+      return true;
+    }
+    console.log(`Waiting for hub to sync new signer... (${i + 1}/${attempts})`);
+    await new Promise(r => setTimeout(r, interval));
+  }
+
+  return false;
+}
+
+/**
+ * Rotate the signer key of an FID
+ *
+ * 1. Add a new Ed25519 key via KeyGateway
+ * 2. Wait until the hub reports the new key (checkSignerSync)
+ * 3. Switch the stored credentials to the new key
+ * 4. Remove the old key from the KeyRegistry
+ *
+ * The old key stays valid until the new one is live and saved, so posting
+ * never stops during a rotation.
+ *
+ * @param {string} privateKey - Custody wallet private key
+ * @param {Object} [options]
+ * @param {string} [options.oldSignerPublicKey] - Key to remove (defaults to the stored signer)
+ * @param {boolean} [options.keepOld=false] - Skip removing the old key
+ * @param {number} [options.syncAttempts] - Max hub sync polls
+ * @param {number} [options.syncInterval] - Delay between hub sync polls (ms)
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: string, signerPublicKey: string, signerPrivateKey: string, oldSignerPublicKey: string|null, addTxHash: string, removeTxHash: string|null}>}
+ */
+async function rotateSigner(privateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+  const baseWallet = new Wallet(privateKey, createProvider('BASE', { network }));
+
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const fid = (await idRegistry.idOf(wallet.address)).toString();
+
+  if (fid === '0') {
+    throw new Error('No FID registered to this address. Run register-fid.js first.');
+  }
+
+  const stored = loadCredentials({ fid, keystore: options.keystore });
+  const oldSignerPublicKey = options.oldSignerPublicKey || stored?.signerPublicKey || null;
+
+  console.log('FID:', fid);
+  console.log('Current signer:', oldSignerPublicKey || '(none stored)');
+
+  // Step 1: Add the new key
+  console.log('\nStep 1: Adding new signer key...\n');
+  // Keep the new key as pending before it is sent, so it is never lost if the rotation stops here
+  const onSignerKey = stored
+    ? key => updateCredentials(fid, {
+      pendingSignerPublicKey: key.signerPublicKey,
+      pendingSignerPrivateKey: key.signerPrivateKey
+    }, { keystore: options.keystore })
+    : undefined;
+  const { signerPublicKey, signerPrivateKey, txHash: addTxHash } = await addSigner(privateKey, { quiet: Boolean(stored), onSignerKey, network });
+
+  // Step 2: Wait for the hub to pick it up before switching over
+  console.log('\nStep 2: Waiting for hub to sync new signer...\n');
+  const synced = await waitForSignerSync(baseWallet, fid, signerPublicKey, {
+    attempts: options.syncAttempts,
+    interval: options.syncInterval,
+    network
+  });
+
+  if (!synced) {
+    const where = stored ? 'saved as pendingSignerPrivateKey' : 'printed above';
+    throw new Error(
+      `New signer ${signerPublicKey} was added (tx ${addTxHash}) but has not synced to the hub. ` +
+      `Old key left in place; the new private key was ${where}.`
+    );
+  }
+  console.log('New signer synced.');
+
+  // Step 3: Switch stored credentials
+  console.log('\nStep 3: Updating stored credentials...\n');
+  if (stored) {
+    updateCredentials(fid, {
+      signerPublicKey,
+      signerPrivateKey,
+      pendingSignerPublicKey: null,
+      pendingSignerPrivateKey: null,
+      previousSignerPublicKey: oldSignerPublicKey,
+      signerRotatedAt: new Date().toISOString()
+    }, { keystore: options.keystore });
+    console.log('Credentials updated.');
+  } else {
+    console.log('No stored credentials for this FID, save the new signer key yourself.');
+  }
+
+  // Step 4: Remove the old key
+  let removeTxHash = null;
+  if (oldSignerPublicKey && !options.keepOld) {
+    console.log('\nStep 4: Removing old signer key...\n');
+    const { revoked } = await revokeSigner(privateKey, {
+      keys: [oldSignerPublicKey],
+      keystore: options.keystore,
+      network
+    });
+    removeTxHash = revoked[0]?.txHash || null;
+  }
+
+  return {
+    fid,
+    signerPublicKey,
+    signerPrivateKey,
+    oldSignerPublicKey,
+    addTxHash,
+    removeTxHash
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const keepOld = args.includes('--keep-old');
+  const privateKey = process.env.PRIVATE_KEY || loadCredentials({ fid: process.env.FID })?.custodyPrivateKey;
+
+  if (!privateKey) {
+    console.log('Usage: PRIVATE_KEY=0x... node rotate-signer.js [--keep-old]');
+    console.log('\nAdds a new signer, waits for hub sync, updates stored credentials,');
+    console.log('then removes the old signer from the KeyRegistry.');
+    console.log('Without PRIVATE_KEY, the custody key of the stored account (FID or active) is used.');
+    console.log('\nOptions:');
+    console.log('  --keep-old    Do not remove the old signer key');
+    process.exit(1);
+  }
+
+  rotateSigner(privateKey, { keepOld })
+    .then(({ fid, signerPublicKey, oldSignerPublicKey, removeTxHash }) => {
+      console.log('\n=== Signer Rotated ===');
+      console.log('FID:', fid);
+      console.log('New Signer Public Key:', signerPublicKey);
+      if (oldSignerPublicKey) console.log('Old Signer Public Key:', oldSignerPublicKey);
+      if (removeTxHash) console.log('Remove TX:', removeTxHash);
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateSigner, waitForSignerSync, hasSyncedSigner };
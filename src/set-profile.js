@@ -1,89 +1,17 @@
-const { Wallet, JsonRpcProvider, randomBytes } = require('ethers');
+const { Wallet } = require('ethers');
 const {
   makeUserDataAdd,
   makeUserNameProofClaim,
   EthersEip712Signer,
   NobleEd25519Signer,
   UserDataType,
-  FarcasterNetwork,
-  Message
+  FarcasterNetwork
 } = require('@farcaster/hub-nodejs');
-const https = require('https');
-const { RPC, NEYNAR, USDC_BASE, EIP712, EIP712_TYPES } = require('./config');
-const { updateCredentials } = require('./credentials');
-
-/**
- * Create x402 payment header for Neynar API
- */
-async function createX402Header(wallet) {
-  const nonce = '0x' + Buffer.from(randomBytes(32)).toString('hex');
-  const validBefore = BigInt(Math.floor(Date.now() / 1000) + 3600);
-
-  const signature = await wallet.signTypedData(
-    EIP712.USDC_BASE,
-    EIP712_TYPES.TRANSFER_WITH_AUTHORIZATION,
-    {
-      from: wallet.address,
-      to: NEYNAR.PAY_TO,
-      value: NEYNAR.PAYMENT_AMOUNT,
-      validAfter: 0n,
-      validBefore,
-      nonce
-    }
-  );
-
-  return Buffer.from(JSON.stringify({
-    x402Version: 1,
-    scheme: 'exact',
-    network: 'base',
-    payload: {
-      signature,
-      authorization: {
-        from: wallet.address,
-        to: NEYNAR.PAY_TO,
-        value: NEYNAR.PAYMENT_AMOUNT.toString(),
-        validAfter: '0',
-        validBefore: validBefore.toString(),
-        nonce
-      }
-    }
-  })).toString('base64');
-}
-
-/**
- * Submit a message to the hub with x402 payment
- */
-async function submitToHub(wallet, messageBytes) {
-  const header = await createX402Header(wallet);
-
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: NEYNAR.HUB_API,
-      port: 443,
-      path: '/v1/submitMessage',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': messageBytes.length,
-        'X-PAYMENT': header
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve({ success: true, data: JSON.parse(data) });
-        } else {
-          resolve({ success: false, status: res.statusCode, error: data });
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(messageBytes);
-    req.end();
-  });
-}
+const { getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { createHubClient } = require('./hub-client');
+const { httpRequest, assertOk } = require('./http');
+const { updateCredentials, loadCredentials } = require('./credentials');
 
 /**
  * Set user profile data (display name, bio, pfp, etc.)
@@ -96,10 +24,14 @@ async function submitToHub(wallet, messageBytes) {
  * @param {string} [options.bio] - Bio text
  * @param {string} [options.pfpUrl] - Profile picture URL
  * @param {string} [options.url] - Website URL
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {HubClient} [options.hubClient] - Hub client to use (defaults to the configured transport, see hub-client.js)
  */
-async function setProfileData({ privateKey, signerPrivateKey, fid, displayName, bio, pfpUrl, url }) {
-  const provider = new JsonRpcProvider(RPC.BASE);
+async function setProfileData({ privateKey, signerPrivateKey, fid, displayName, bio, pfpUrl, url, network: networkOption, hubClient }) {
+  const network = getNetwork({ network: networkOption });
+  const provider = createProvider('BASE', { network });
   const wallet = new Wallet(privateKey, provider);
+  const hub = hubClient || createHubClient({ wallet, network });
   const signer = new NobleEd25519Signer(Buffer.from(signerPrivateKey, 'hex'));
 
   const results = {};
@@ -116,7 +48,7 @@ async function setProfileData({ privateKey, signerPrivateKey, fid, displayName,
 
     const msgResult = await makeUserDataAdd(
       { type: update.type, value: update.value },
-      { fid, network: FarcasterNetwork.MAINNET },
+      { fid, network: FarcasterNetwork[network.farcasterNetwork] },
       signer
     );
 
@@ -126,15 +58,13 @@ async function setProfileData({ privateKey, signerPrivateKey, fid, displayName,
       continue;
     }
 
-    const bytes = Buffer.from(Message.encode(msgResult.value).finish());
-    const result = await submitToHub(wallet, bytes);
-
-    if (result.success) {
+    try {
+      await hub.submit(msgResult.value);
       console.log(`  Success!`);
       results[update.name] = { success: true };
-    } else {
-      console.log(`  Failed: ${result.error}`);
-      results[update.name] = { success: false, error: result.error };
+    } catch (e) {
+      console.log(`  Failed: ${e.message}`);
+      results[update.name] = { success: false, error: e.message };
     }
   }
 
@@ -153,14 +83,21 @@ async function setProfileData({ privateKey, signerPrivateKey, fid, displayName,
  * @param {string} options.signerPrivateKey - Ed25519 signer private key
  * @param {number} options.fid - Farcaster ID
  * @param {string} options.fname - Username to register (lowercase, alphanumeric, max 16 chars)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {HubClient} [options.hubClient] - Hub client to use (defaults to the configured transport, see hub-client.js)
  */
-async function registerFname({ privateKey, signerPrivateKey, fid, fname }) {
+async function registerFname({ privateKey, signerPrivateKey, fid, fname, network: networkOption, hubClient }) {
+  const network = getNetwork({ network: networkOption });
+  if (!network.fnameUrl) {
+    throw new Error(`Fname registration is not available on ${network.name}`);
+  }
+
   // Validate fname format
   if (!/^[a-z0-9][a-z0-9-]{0,15}$/.test(fname)) {
     throw new Error('Invalid fname format. Must be lowercase alphanumeric, 1-16 chars, can contain hyphens but not start with one.');
   }
 
-  const provider = new JsonRpcProvider(RPC.BASE);
+  const provider = createProvider('BASE', { network });
   const wallet = new Wallet(privateKey, provider);
 
   console.log('Registering fname:', fname);
@@ -198,36 +135,15 @@ async function registerFname({ privateKey, signerPrivateKey, fid, fname }) {
     signature: signature
   });
 
-  const fnameResult = await new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: 'fnames.farcaster.xyz',
-      port: 443,
-      path: '/transfers',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(body)
-      }
-    }, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve({ status: res.statusCode, data: JSON.parse(data) });
-        } catch {
-          resolve({ status: res.statusCode, data });
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+  const fnameResult = await httpRequest(new URL('/transfers', network.fnameUrl), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    }
+  }, body);
 
-  if (fnameResult.status !== 200) {
-    throw new Error(`Fname registration failed: ${JSON.stringify(fnameResult.data)}`);
-  }
+  assertOk(fnameResult, 'Fname registration failed', { method: 'POST' });
 
   console.log('Fname registered with server!');
   console.log('Transfer ID:', fnameResult.data.transfer?.id);
@@ -243,7 +159,7 @@ async function registerFname({ privateKey, signerPrivateKey, fid, fname }) {
 
   const usernameResult = await makeUserDataAdd(
     { type: UserDataType.USERNAME, value: fname },
-    { fid, network: FarcasterNetwork.MAINNET },
+    { fid, network: FarcasterNetwork[network.farcasterNetwork] },
     signer
   );
 
@@ -251,17 +167,19 @@ async function registerFname({ privateKey, signerPrivateKey, fid, fname }) {
     throw new Error(`Failed to create username message: ${usernameResult.error}`);
   }
 
-  const bytes = Buffer.from(Message.encode(usernameResult.value).finish());
-  const hubResult = await submitToHub(wallet, bytes);
+  const hub = hubClient || createHubClient({ wallet, network });
 
-  if (!hubResult.success) {
+  try {
+    await hub.submit(usernameResult.value);
+  } catch {
     // If it fails, the hub might need more time to sync
     console.log('Hub rejected, waiting another 30 seconds...');
     await new Promise(r => setTimeout(r, 30000));
 
-    const retryResult = await submitToHub(wallet, bytes);
-    if (!retryResult.success) {
-      throw new Error(`Failed to set username in hub: ${retryResult.error}`);
+    try {
+      await hub.submit(usernameResult.value);
+    } catch (e) {
+      throw new Error(`Failed to set username in hub: ${e.message}`);
     }
   }
 
@@ -285,7 +203,7 @@ async function registerFname({ privateKey, signerPrivateKey, fid, fname }) {
 /**
  * Set up a complete profile with fname, display name, bio, and pfp
  */
-async function setupFullProfile({ privateKey, signerPrivateKey, fid, fname, displayName, bio, pfpUrl }) {
+async function setupFullProfile({ privateKey, signerPrivateKey, fid, fname, displayName, bio, pfpUrl, network, hubClient }) {
   console.log('=== Setting up full profile ===\n');
 
   // Set profile data first (these don't require fname)
@@ -297,7 +215,9 @@ async function setupFullProfile({ privateKey, signerPrivateKey, fid, fname, disp
       fid,
       displayName,
       bio,
-      pfpUrl
+      pfpUrl,
+      network,
+      hubClient
     });
     console.log('');
   }
@@ -309,7 +229,9 @@ async function setupFullProfile({ privateKey, signerPrivateKey, fid, fname, disp
       privateKey,
       signerPrivateKey,
       fid,
-      fname
+      fname,
+      network,
+      hubClient
     });
   }
 
@@ -319,9 +241,13 @@ async function setupFullProfile({ privateKey, signerPrivateKey, fid, fname, disp
 
 // CLI usage
 if (require.main === module) {
-  const privateKey = process.env.PRIVATE_KEY;
-  const signerPrivateKey = process.env.SIGNER_PRIVATE_KEY;
-  const fid = parseInt(process.env.FID);
+  // Fall back to the configured key store for anything not set in the environment
+  const stored = (!process.env.PRIVATE_KEY || !process.env.SIGNER_PRIVATE_KEY)
+    ? loadCredentials({ fid: process.env.FID }) || {}
+    : {};
+  const privateKey = process.env.PRIVATE_KEY || stored.custodyPrivateKey;
+  const signerPrivateKey = process.env.SIGNER_PRIVATE_KEY || stored.signerPrivateKey;
+  const fid = parseInt(process.env.FID || stored.fid);
   const fname = process.argv[2];
   const displayName = process.argv[3];
   const bio = process.argv[4];
@@ -338,6 +264,7 @@ if (require.main === module) {
     console.log('');
     console.log('  # Set profile without fname:');
     console.log('  node set-profile.js "" "My Name" "My bio" "https://example.com/pfp.png"');
+    console.log('\nAnything not set is loaded from the configured key store (FARCASTER_KEYSTORE).');
     process.exit(1);
   }
 
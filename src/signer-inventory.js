@@ -0,0 +1,252 @@
+const { Contract, AbiCoder } = require('ethers');
+const { ABIS, KEY_STATE, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { loadCredentials, listCredentials } = require('./credentials');
+
+// Block range of eth_getLogs calls: starts within public RPC limits, doubles
+// after each success up to the maximum, and halves on errors
+const LOG_CHUNK_SIZE = 10000;
+const MAX_LOG_CHUNK_SIZE = 2000000;
+const MIN_LOG_CHUNK_SIZE = 500;
+
+const KEY_STATE_NAMES = {
+  [KEY_STATE.NULL]: 'null',
+  [KEY_STATE.ADDED]: 'active',
+  [KEY_STATE.REMOVED]: 'removed'
+};
+
+// SignedKeyRequest metadata (metadataType 1)
+const SIGNED_KEY_REQUEST_METADATA = [
+  'tuple(uint256 requestFid, address requestSigner, bytes signature, uint256 deadline)'
+];
+
+/**
+ * Normalize a signer public key to bare lowercase hex
+ */
+function toHex(key) {
+  return key.replace(/^0x/, '').toLowerCase();
+}
+
+/**
+ * Fetch logs for a filter in adaptive block ranges
+ *
+ * A range the RPC refused is never requested again, so a provider capped at
+ * N blocks settles just under N instead of failing on every other call.
+ */
+async function getLogsChunked(provider, filter, fromBlock, toBlock) {
+  const logs = [];
+  let chunk = LOG_CHUNK_SIZE;
+  let refused = Infinity;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + chunk - 1, toBlock);
+    try {
+      logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+      start = end + 1;
+      if (chunk * 2 < refused) {
+        chunk = Math.min(chunk * 2, MAX_LOG_CHUNK_SIZE);
+      }
+    } catch (e) {
+      if (chunk <= MIN_LOG_CHUNK_SIZE) {
+        throw e;
+      }
+      refused = chunk;
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Read every signer key an FID has had, directly from the KeyRegistry
+ *
+ * Current state comes from keysOf/keyDataOf. Request FID and add/remove
+ * timestamps come from the Add and Remove/AdminReset events.
+ *
+ * @param {string|number|bigint} fid - Farcaster ID
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan for events
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<Array<{publicKey: string, state: string, keyType: number, requestFid: string|null, addedAt: string|null, addTxHash: string|null, removedAt: string|null}>>}
+ */
+async function getSignerInventory(fid, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const keyRegistry = new Contract(network.contracts.KEY_REGISTRY, ABIS.KEY_REGISTRY, provider);
+  const fidBig = BigInt(fid);
+
+  const [activeKeys, removedKeys] = await Promise.all([
+    keyRegistry.keysOf(fidBig, KEY_STATE.ADDED),
+    keyRegistry.keysOf(fidBig, KEY_STATE.REMOVED)
+  ]);
+
+  const keys = new Map();
+  for (const key of [...activeKeys, ...removedKeys]) {
+    const keyData = await keyRegistry.keyDataOf(fidBig, key);
+    keys.set(toHex(key), {
+      publicKey: toHex(key),
+      state: KEY_STATE_NAMES[Number(keyData.state)],
+      keyType: Number(keyData.keyType),
+      requestFid: null,
+      addedAt: null,
+      addTxHash: null,
+      removedAt: null
+    });
+  }
+
+  // Enrich with event history
+  const fidTopic = '0x' + fidBig.toString(16).padStart(64, '0');
+  const latest = await provider.getBlockNumber();
+  const fromBlock = options.fromBlock ?? network.startBlock;
+  const iface = keyRegistry.interface;
+  const topics = ['Add', 'Remove', 'AdminReset'].map(name => iface.getEvent(name).topicHash);
+
+  const logs = await getLogsChunked(provider, {
+    address: network.contracts.KEY_REGISTRY,
+    topics: [topics, fidTopic]
+  }, fromBlock, latest);
+
+  const blockTimes = new Map();
+  const blockTime = async (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, new Date(block.timestamp * 1000).toISOString());
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  for (const log of logs) {
+    const event = iface.parseLog(log);
+    const publicKey = toHex(event.args.keyBytes);
+    const entry = keys.get(publicKey);
+    if (!entry) {
+      continue;
+    }
+
+    if (event.name === 'Add') {
+      entry.addedAt = await blockTime(log.blockNumber);
+      entry.addTxHash = log.transactionHash;
+      if (Number(event.args.metadataType) === 1) {
+        try {
+          const [metadata] = AbiCoder.defaultAbiCoder().decode(SIGNED_KEY_REQUEST_METADATA, event.args.metadata);
+          entry.requestFid = metadata.requestFid.toString();
+        } catch (e) {
+          // Unknown metadata encoding, leave requestFid empty
+        }
+      }
+    } else {
+      entry.removedAt = await blockTime(log.blockNumber);
+    }
+  }
+
+  return [...keys.values()];
+}
+
+/**
+ * Diff onchain signer keys against the keys held in the credential store
+ *
+ * - orphaned: active onchain, but no private key stored for it
+ * - invalid: private key stored locally, but the key is not active onchain
+ * - held: active onchain and the private key is stored
+ *
+ * @param {string|number} fid - Farcaster ID
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan for events
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @returns {Promise<{fid: string, inventory: Array, held: string[], orphaned: string[], invalid: string[]}>}
+ */
+async function reconcileSigners(fid, options = {}) {
+  const inventory = await getSignerInventory(fid, options);
+  const stored = loadCredentials({ fid: fid.toString(), keystore: options.keystore }) || {};
+
+  // Local keys we can actually sign with
+  const localKeys = new Set();
+  if (stored.signerPublicKey && stored.signerPrivateKey) {
+    localKeys.add(toHex(stored.signerPublicKey));
+  }
+  if (stored.pendingSignerPublicKey && stored.pendingSignerPrivateKey) {
+    localKeys.add(toHex(stored.pendingSignerPublicKey));
+  }
+
+  const active = new Set(inventory.filter(k => k.state === 'active').map(k => k.publicKey));
+
+  return {
+    fid: fid.toString(),
+    inventory,
+    held: [...active].filter(k => localKeys.has(k)),
+    orphaned: [...active].filter(k => !localKeys.has(k)),
+    invalid: [...localKeys].filter(k => !active.has(k))
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const all = args.includes('--all');
+  const fidArg = args.find(a => !a.startsWith('--'));
+
+  let fids;
+  if (all) {
+    try {
+      fids = listCredentials().map(a => a.fid);
+    } catch (e) {
+      console.error('Error:', e.message);
+      process.exit(1);
+    }
+  } else {
+    const fid = fidArg || process.env.FID || loadCredentials()?.fid;
+    fids = fid ? [fid] : [];
+  }
+
+  if (fids.length === 0) {
+    console.log('Usage: node signer-inventory.js [fid] [--all]');
+    console.log('\nLists every signer key for the FID from the KeyRegistry on Optimism and');
+    console.log('compares it against the keys in the credential store.');
+    console.log('Defaults to FID env var or the active stored account; --all checks every stored account.');
+    process.exit(1);
+  }
+
+  (async () => {
+    let problems = false;
+
+    for (const fid of fids) {
+      const { inventory, orphaned, invalid } = await reconcileSigners(fid);
+
+      console.log(`\n=== FID ${fid} ===`);
+      if (inventory.length === 0) {
+        console.log('No signer keys onchain.');
+      }
+      inventory.forEach(k => {
+        console.log(`  ${k.publicKey} [${k.state}]`);
+        console.log(`    Request FID: ${k.requestFid || 'unknown'}  Added: ${k.addedAt || 'unknown'}` +
+          (k.removedAt ? `  Removed: ${k.removedAt}` : ''));
+      });
+
+      if (orphaned.length > 0) {
+        problems = true;
+        console.log('\nOrphaned (active onchain, private key not stored):');
+        orphaned.forEach(k => console.log('  ' + k));
+      }
+      if (invalid.length > 0) {
+        problems = true;
+        console.log('\nInvalid local keys (stored, not active onchain):');
+        invalid.forEach(k => console.log('  ' + k));
+      }
+      if (orphaned.length === 0 && invalid.length === 0) {
+        console.log('\nLocal credentials match onchain signers.');
+      }
+    }
+
+    if (problems) {
+      process.exit(1);
+    }
+  })().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { getSignerInventory, reconcileSigners };
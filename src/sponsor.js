@@ -0,0 +1,255 @@
+const { Wallet, Contract, formatEther, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { checkMaxPrice } = require('./quote');
+const { waitForReceipt, parseRegisterEvent, parseAddEvents } = require('./receipts');
+const { generateSignerKeyPair, encodeSignedKeyRequest } = require('./add-signer');
+const { signRegister, signAdd } = require('./gateway-signatures');
+const { saveCredentials, updateCredentials } = require('./credentials');
+
+// Overpayment sent with registerFor in case the price moves; the IdGateway refunds it
+const PRICE_BUFFER = 50000000000000n;
+
+// Validity of the custody wallet's Register/Add signatures: 1 hour
+const SIGNATURE_DEADLINE_SECONDS = 3600;
+
+/**
+ * Register an FID to an unfunded custody wallet, paid by a sponsor wallet
+ *
+ * The custody wallet only signs an EIP-712 Register message; the sponsor
+ * submits IdGateway.registerFor and pays the registration price and gas.
+ *
+ * @param {string} sponsorPrivateKey - Funded wallet paying for the registration
+ * @param {string} custodyPrivateKey - Wallet that will own the FID (needs no ETH)
+ * @param {Object} [options]
+ * @param {string} [options.recoveryAddress] - Recovery address (defaults to the custody wallet)
+ * @param {bigint|string} [options.maxPrice] - Abort above this price, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: bigint, custodyAddress: string, recoveryAddress: string, txHash: string}>}
+ */
+async function sponsorRegisterFid(sponsorPrivateKey, custodyPrivateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const sponsor = new Wallet(sponsorPrivateKey, provider);
+  const custody = new Wallet(custodyPrivateKey, provider);
+  const recoveryAddress = options.recoveryAddress ? getAddress(options.recoveryAddress) : custody.address;
+
+  console.log('Sponsor:', sponsor.address);
+  console.log('Custody address:', custody.address);
+  console.log('Recovery address:', recoveryAddress);
+
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const existingFid = await idRegistry.idOf(custody.address);
+
+  if (existingFid > 0n) {
+    console.log('Already registered with FID:', existingFid.toString());
+    return {
+      fid: existingFid,
+      custodyAddress: custody.address,
+      recoveryAddress: await idRegistry.recoveryOf(existingFid),
+      txHash: null
+    };
+  }
+
+  const idGateway = new Contract(network.contracts.ID_GATEWAY, ABIS.ID_GATEWAY, sponsor);
+  const [price, balance] = await Promise.all([
+    idGateway.price(),
+    provider.getBalance(sponsor.address)
+  ]);
+
+  console.log('Registration price:', formatEther(price), 'ETH');
+  checkMaxPrice(price, options);
+  console.log('Sponsor balance:', formatEther(balance), 'ETH');
+
+  if (balance < price + PRICE_BUFFER) {
+    throw new Error(`Insufficient sponsor balance. Need ${formatEther(price + PRICE_BUFFER)} ETH, have ${formatEther(balance)} ETH`);
+  }
+
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + SIGNATURE_DEADLINE_SECONDS);
+  const sig = await signRegister(custody, recoveryAddress, deadline, { network });
+
+  console.log('Registering FID for custody wallet...');
+  const tx = await sendTransaction(idGateway, 'registerFor', [custody.address, recoveryAddress, deadline, sig], {
+    value: price + PRICE_BUFFER
+  }, options.gas);
+
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+  const { fid } = parseRegisterEvent(receipt, { network });
+  console.log('SUCCESS! Registered FID:', fid.toString());
+
+  return { fid, custodyAddress: custody.address, recoveryAddress, txHash: receipt.hash };
+}
+
+/**
+ * Add a signer key to an unfunded custody wallet's FID, paid by a sponsor
+ *
+ * The custody wallet signs both the SignedKeyRequest metadata (as its own
+ * request FID) and an EIP-712 Add message; the sponsor submits
+ * KeyGateway.addFor and pays the gas.
+ *
+ * @param {string} sponsorPrivateKey - Funded wallet paying for gas
+ * @param {string} custodyPrivateKey - Custody wallet of the FID (needs no ETH)
+ * @param {Object} [options]
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {Function} [options.onSignerKey] - Called with the generated key before the transaction is sent (see add-signer.js addSigner)
+ * @returns {Promise<{fid: bigint, signerPublicKey: string, signerPrivateKey: string, txHash: string}>}
+ */
+async function sponsorAddSigner(sponsorPrivateKey, custodyPrivateKey, options = {}) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const sponsor = new Wallet(sponsorPrivateKey, provider);
+  const custody = new Wallet(custodyPrivateKey, provider);
+
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, provider);
+  const fid = await idRegistry.idOf(custody.address);
+
+  if (fid === 0n) {
+    throw new Error('No FID registered to the custody wallet. Register first.');
+  }
+
+  console.log('FID:', fid.toString());
+  console.log('Sponsor:', sponsor.address);
+
+  const { signerPublicKey, signerPrivateKey } = generateSignerKeyPair();
+  const keyBytes = '0x' + signerPublicKey;
+
+  console.log('\nGenerated signer keypair:');
+  console.log('Public Key:', signerPublicKey);
+  console.log('Private Key:', signerPrivateKey);
+
+  const now = Math.floor(Date.now() / 1000);
+  const deadline = BigInt(now + SIGNATURE_DEADLINE_SECONDS);
+  const keyRequestDeadline = BigInt(now + 86400);
+
+  const metadata = await encodeSignedKeyRequest(custody, fid, keyBytes, keyRequestDeadline, { network });
+  const sig = await signAdd(custody, keyBytes, metadata, deadline, { network });
+
+  if (options.onSignerKey) {
+    await options.onSignerKey({ fid, signerPublicKey, signerPrivateKey });
+  }
+
+  console.log('\nAdding signer for custody wallet...');
+  const keyGateway = new Contract(network.contracts.KEY_GATEWAY, ABIS.KEY_GATEWAY, sponsor);
+  const tx = await sendTransaction(keyGateway, 'addFor', [
+    custody.address,
+    1,           // keyType: ED25519
+    keyBytes,
+    1,           // metadataType: SignedKeyRequest
+    metadata,
+    deadline,
+    sig
+  ], {}, options.gas);
+
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+  const added = parseAddEvents(receipt, { network });
+
+  if (!added.some(k => k.fid === fid && k.key === signerPublicKey)) {
+    throw new Error(`Transaction ${receipt.hash} did not add key ${signerPublicKey} to FID ${fid}`);
+  }
+
+  console.log('SUCCESS! Signer key added.');
+  return { fid, signerPublicKey, signerPrivateKey, txHash: receipt.hash };
+}
+
+/**
+ * Provision a complete account (FID + signer) for a custody wallet, with all
+ * onchain costs paid by a sponsor wallet
+ *
+ * Generates a fresh custody wallet when none is given. Its key is saved (or,
+ * with save disabled, printed) as soon as the FID is registered, so a failed
+ * signer step never loses the only key of an FID the sponsor paid for.
+ * Posting still needs x402 payments, which any wallet holding USDC on Base
+ * can sign for.
+ *
+ * @param {string} sponsorPrivateKey - Funded treasury wallet
+ * @param {Object} [options]
+ * @param {string} [options.custodyPrivateKey] - Custody wallet (generated if omitted)
+ * @param {string} [options.recoveryAddress] - Recovery address (defaults to the custody wallet)
+ * @param {bigint|string} [options.maxPrice] - Abort above this registration price, in wei (bigint) or ETH (string); defaults to MAX_REGISTRATION_PRICE
+ * @param {boolean} [options.save=true] - Save credentials to the key store
+ * @param {string|Object} [options.keystore] - Key store backend name or instance
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: bigint, custodyAddress: string, custodyPrivateKey: string, signerPublicKey: string, signerPrivateKey: string, recoveryAddress: string}>}
+ */
+async function sponsorSetup(sponsorPrivateKey, options = {}) {
+  const { save = true, keystore, gas, network } = options;
+  const generated = !options.custodyPrivateKey;
+  const custodyPrivateKey = options.custodyPrivateKey || Wallet.createRandom().privateKey;
+
+  const { fid, custodyAddress, recoveryAddress } = await sponsorRegisterFid(sponsorPrivateKey, custodyPrivateKey, {
+    recoveryAddress: options.recoveryAddress,
+    maxPrice: options.maxPrice,
+    gas,
+    network
+  });
+
+  // A generated key exists nowhere else: keep it before anything else can fail
+  if (generated && save) {
+    saveCredentials({ fid: fid.toString(), custodyAddress, custodyPrivateKey }, { keystore });
+  } else if (generated) {
+    console.log('Custody Private Key:', custodyPrivateKey);
+  }
+
+  console.log('');
+  const { signerPublicKey, signerPrivateKey } = await sponsorAddSigner(sponsorPrivateKey, custodyPrivateKey, { gas, network });
+
+  const result = {
+    fid,
+    custodyAddress,
+    custodyPrivateKey,
+    signerPublicKey,
+    signerPrivateKey,
+    recoveryAddress
+  };
+
+  if (save && generated) {
+    updateCredentials(fid, { signerPublicKey, signerPrivateKey }, { keystore });
+  } else if (save) {
+    saveCredentials({ ...result, fid: fid.toString() }, { keystore });
+  }
+
+  return result;
+}
+
+// CLI usage
+if (require.main === module) {
+  const sponsorPrivateKey = process.env.SPONSOR_PRIVATE_KEY;
+  const custodyPrivateKey = process.env.PRIVATE_KEY;
+  const noSave = process.argv.includes('--no-save');
+
+  if (!sponsorPrivateKey) {
+    console.log('Usage: SPONSOR_PRIVATE_KEY=0x... [PRIVATE_KEY=0x...] [RECOVERY_ADDRESS=0x...] node sponsor.js [--no-save]');
+    console.log('\nRegisters an FID and adds a signer for a custody wallet that holds no ETH.');
+    console.log('The sponsor wallet submits registerFor/addFor and pays all Optimism costs.');
+    console.log('Without PRIVATE_KEY a new custody wallet is generated.');
+    process.exit(1);
+  }
+
+  sponsorSetup(sponsorPrivateKey, {
+    custodyPrivateKey,
+    recoveryAddress: process.env.RECOVERY_ADDRESS,
+    save: !noSave
+  })
+    .then(({ fid, custodyAddress, custodyPrivateKey: custodyKey, signerPublicKey, signerPrivateKey }) => {
+      console.log('\n=== Sponsored Setup Complete ===');
+      console.log('FID:', fid.toString());
+      console.log('Custody Address:', custodyAddress);
+      if (!custodyPrivateKey) console.log('Custody Private Key:', custodyKey);
+      console.log('Signer Public Key:', signerPublicKey);
+      console.log('Signer Private Key:', signerPrivateKey);
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { sponsorRegisterFid, sponsorAddSigner, sponsorSetup };
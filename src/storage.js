@@ -0,0 +1,203 @@
+const { Wallet, Contract, formatEther } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt } = require('./receipts');
+const { getStorageLimits } = require('./hub-client');
+const { loadCredentials } = require('./credentials');
+
+// Overpayment sent with a rent in case the price moves; the StorageRegistry refunds it
+const PRICE_BUFFER = 10000000000000n;
+
+// Default usage ratio at which storage is considered nearly full
+const DEFAULT_THRESHOLD = 0.9;
+
+/**
+ * Read storage units and per-store usage for an FID from the hub
+ *
+ * Costs one x402 payment (0.001 USDC on Base).
+ *
+ * @param {string} privateKey - Wallet private key (for x402 payment signing)
+ * @param {string|number} fid - Farcaster ID
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: string, units: number, stores: Array<{name: string, used: number, limit: number, ratio: number}>}>}
+ */
+async function getStorageUsage(privateKey, fid, options = {}) {
+  const network = getNetwork(options);
+  const wallet = new Wallet(privateKey, createProvider('BASE', { network }));
+  const result = await getStorageLimits(wallet, fid, { network });
+
+  if (result.status !== 200) {
+    throw new Error(`Storage lookup failed: ${JSON.stringify(result.data)}`);
+  }
+
+  const stores = (result.data.limits || []).map(l => {
+    const used = Number(l.used || 0);
+    const limit = Number(l.limit || 0);
+    return {
+      name: (l.name || l.storeType || '').replace(/^STORE_TYPE_/, '').toLowerCase(),
+      used,
+      limit,
+      ratio: limit > 0 ? used / limit : 1
+    };
+  });
+
+  return { fid: fid.toString(), units: Number(result.data.units || 0), stores };
+}
+
+/**
+ * Throw unless units is a positive whole number of storage units
+ */
+function checkUnits(units) {
+  if (!Number.isSafeInteger(units) || units < 1) {
+    throw new Error(`Storage units must be a positive integer, got ${units}`);
+  }
+}
+
+/**
+ * Quote the price of renting storage units
+ *
+ * @param {number} [units=1] - Storage units to rent
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{units: number, price: bigint}>}
+ */
+async function quoteStorage(units = 1, options = {}) {
+  checkUnits(units);
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const storageRegistry = new Contract(network.contracts.STORAGE_REGISTRY, ABIS.STORAGE_REGISTRY, provider);
+  const price = await storageRegistry.price(BigInt(units));
+  return { units, price };
+}
+
+/**
+ * Rent storage units for an FID on the StorageRegistry
+ *
+ * Any wallet can pay for any FID. Rented units last one year.
+ *
+ * Prerequisites:
+ * - Wallet with ETH on Optimism (price + gas)
+ *
+ * @param {string} privateKey - Paying wallet private key
+ * @param {Object} options
+ * @param {string|number} options.fid - Farcaster ID to rent storage for
+ * @param {number} [options.units=1] - Storage units to rent
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @returns {Promise<{fid: string, units: number, price: bigint, txHash: string}>}
+ */
+async function rentStorage(privateKey, options) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+  const storageRegistry = new Contract(network.contracts.STORAGE_REGISTRY, ABIS.STORAGE_REGISTRY, wallet);
+  const units = options.units ?? 1;
+  checkUnits(units);
+
+  if (!options.fid) {
+    throw new Error('FID is required to rent storage');
+  }
+
+  const [price, balance] = await Promise.all([
+    storageRegistry.price(BigInt(units)),
+    provider.getBalance(wallet.address)
+  ]);
+
+  console.log('FID:', options.fid.toString());
+  console.log('Units:', units);
+  console.log('Price:', formatEther(price), 'ETH');
+  console.log('Balance:', formatEther(balance), 'ETH');
+
+  if (balance < price + PRICE_BUFFER) {
+    throw new Error(`Insufficient balance. Need ${formatEther(price + PRICE_BUFFER)} ETH, have ${formatEther(balance)} ETH`);
+  }
+
+  const tx = await sendTransaction(storageRegistry, 'rent', [BigInt(options.fid), BigInt(units)], {
+    value: price + PRICE_BUFFER
+  }, options.gas);
+
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+
+  console.log('SUCCESS! Storage rented.');
+  return { fid: options.fid.toString(), units, price, txHash: receipt.hash };
+}
+
+/**
+ * Check whether an FID's storage is close to full
+ *
+ * Intended to be consulted before submitting messages: once a store is full
+ * the hub prunes the oldest messages of that type.
+ *
+ * @param {string} privateKey - Wallet private key (for x402 payment signing)
+ * @param {string|number} fid - Farcaster ID
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.9] - Usage ratio (0-1) considered nearly full
+ * @param {string} [options.store='casts'] - Store to check (casts, reactions, links, ...)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{ok: boolean, store: string, used: number, limit: number, ratio: number, units: number}>}
+ */
+async function checkStorageThreshold(privateKey, fid, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const name = options.store || 'casts';
+  const { units, stores } = await getStorageUsage(privateKey, fid, options);
+
+  const store = stores.find(s => s.name === name);
+  if (!store) {
+    throw new Error(`Hub returned no storage limit for store "${name}"`);
+  }
+
+  return { ok: store.ratio < threshold, store: name, used: store.used, limit: store.limit, ratio: store.ratio, units };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const stored = loadCredentials({ fid: process.env.FID }) || {};
+  const privateKey = process.env.PRIVATE_KEY || stored.custodyPrivateKey;
+  const fid = process.env.FID || stored.fid;
+  const units = /^\d+$/.test(args[0] || '1') ? Number(args[0] || '1') : NaN;
+
+  let run;
+  if ((command === 'quote' || command === 'rent') && !(units >= 1)) {
+    console.log('Usage: node storage.js quote|rent [units]');
+    console.log('\nunits must be a positive integer (default 1).');
+    process.exit(1);
+  } else if ((command === 'status' || command === undefined) && privateKey && fid) {
+    run = getStorageUsage(privateKey, fid).then(({ units: owned, stores }) => {
+      console.log(`\n=== Storage for FID ${fid} ===`);
+      console.log('Units:', owned);
+      stores.forEach(s => {
+        console.log(`  ${s.name.padEnd(16)} ${s.used}/${s.limit} (${Math.round(s.ratio * 100)}%)`);
+      });
+    });
+  } else if (command === 'quote') {
+    run = quoteStorage(units).then(({ price }) => {
+      console.log(`${units} storage unit(s): ${formatEther(price)} ETH`);
+    });
+  } else if (command === 'rent' && privateKey && fid) {
+    run = rentStorage(privateKey, { fid, units }).then(({ txHash }) => {
+      console.log('\n=== Storage Rented ===');
+      console.log('FID:', fid);
+      console.log('Units:', units);
+      console.log('TX:', txHash);
+    });
+  } else {
+    console.log('Usage:');
+    console.log('  node storage.js status        Show storage units and usage (x402 hub call)');
+    console.log('  node storage.js quote [units] Price of renting storage units');
+    console.log('  node storage.js rent [units]  Rent storage units on Optimism');
+    console.log('\nPRIVATE_KEY and FID default to the stored account.');
+    process.exit(1);
+  }
+
+  run.catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { getStorageUsage, quoteStorage, rentStorage, checkStorageThreshold };
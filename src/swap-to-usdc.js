@@ -1,5 +1,7 @@
-const { Wallet, JsonRpcProvider, Contract, formatEther, formatUnits } = require('ethers');
-const { RPC, USDC_BASE, ABIS } = require('./config');
+const { Wallet, Contract, formatEther, formatUnits } = require('ethers');
+const { USDC_BASE, ABIS } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
 
 // Uniswap V3 SwapRouter on Base
 const UNISWAP_ROUTER = '0x2626664c2603336E57B271c5C0b26F421741e481';
@@ -19,7 +21,7 @@ const ROUTER_ABI = [
  * @returns {Promise<{usdcReceived: string, txHash: string}>}
  */
 async function swapEthToUsdc(privateKey, amountIn = null) {
-  const provider = new JsonRpcProvider(RPC.BASE);
+  const provider = createProvider('BASE');
   const wallet = new Wallet(privateKey, provider);
 
   console.log('Wallet:', wallet.address);
@@ -50,7 +52,7 @@ async function swapEthToUsdc(privateKey, amountIn = null) {
 
   for (const fee of feeTiers) {
     try {
-      const tx = await router.exactInputSingle(
+      const tx = await sendTransaction(router, 'exactInputSingle', [
         {
           tokenIn: WETH,
           tokenOut: USDC_BASE,
@@ -59,12 +61,10 @@ async function swapEthToUsdc(privateKey, amountIn = null) {
           amountIn,
           amountOutMinimum: 0n,
           sqrtPriceLimitX96: 0n
-        },
-        {
-          value: amountIn,
-          gasLimit: 300000n
         }
-      );
+      ], {
+        value: amountIn
+      });
 
       console.log('Transaction:', tx.hash);
       await tx.wait();
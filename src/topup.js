@@ -0,0 +1,147 @@
+const { EventEmitter } = require('events');
+const { Contract, parseEther, parseUnits, formatEther, formatUnits } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { swapEthToUsdc } = require('./swap-to-usdc');
+
+// How long a fetched USDC balance is trusted before it is read again
+const BALANCE_CACHE_MS = 60000;
+
+// Defaults: ETH swapped per top-up, and ETH always left for gas
+const DEFAULT_TOPUP_ETH = '0.0005';
+const DEFAULT_ETH_RESERVE = '0.0005';
+
+/**
+ * Top-up events
+ *
+ * - 'low-balance' ({address, usdc, threshold}): balance fell under the threshold
+ * - 'topup' ({address, ethSwapped, usdcReceived, txHash}): a swap completed
+ * - 'warning' ({address, usdc, eth, reason}): no top-up possible, payments will start failing
+ */
+const topUpEvents = new EventEmitter();
+
+// address -> {balance, fetchedAt}
+const balanceCache = new Map();
+
+// address -> in-flight top-up, so parallel requests swap once
+const pendingTopUps = new Map();
+
+/**
+ * Resolve the top-up configuration from options and the environment
+ *
+ * - X402_TOPUP_THRESHOLD: USDC balance under which to top up (unset: disabled)
+ * - X402_TOPUP_ETH: ETH swapped per top-up (default 0.0005)
+ * - X402_ETH_RESERVE: ETH never swapped, kept for gas (default 0.0005)
+ *
+ * @param {Object} [topUp]
+ * @param {string} [topUp.threshold] - USDC
+ * @param {string} [topUp.amount] - ETH
+ * @param {string} [topUp.reserve] - ETH
+ * @returns {{threshold: bigint, amount: bigint, reserve: bigint}|null} null when disabled
+ */
+function getTopUpConfig(topUp = {}) {
+  const threshold = topUp.threshold ?? process.env.X402_TOPUP_THRESHOLD;
+  if (threshold === undefined || threshold === null || threshold === '') {
+    return null;
+  }
+
+  return {
+    threshold: parseUnits(String(threshold), 6),
+    amount: parseEther(String(topUp.amount ?? process.env.X402_TOPUP_ETH ?? DEFAULT_TOPUP_ETH)),
+    reserve: parseEther(String(topUp.reserve ?? process.env.X402_ETH_RESERVE ?? DEFAULT_ETH_RESERVE))
+  };
+}
+
+/**
+ * Swap ETH to USDC for a wallet, or emit a warning if it cannot afford to
+ *
+ * @returns {Promise<boolean>} Whether a swap was made
+ */
+async function topUp(wallet, usdcBalance, config, network) {
+  const provider = createProvider('BASE', { network });
+  const ethBalance = await provider.getBalance(wallet.address);
+  const warn = (reason) => {
+    console.warn(`x402: USDC balance ${formatUnits(usdcBalance, 6)} is low and cannot be topped up: ${reason}`);
+    topUpEvents.emit('warning', { address: wallet.address, usdc: usdcBalance, eth: ethBalance, reason });
+    return false;
+  };
+
+  if (network.name !== 'mainnet') {
+    return warn(`automatic swaps only run on mainnet (network ${network.name})`);
+  }
+  if (ethBalance < config.amount + config.reserve) {
+    return warn(`ETH balance ${formatEther(ethBalance)} is below the top-up amount plus the ` +
+      `${formatEther(config.reserve)} ETH reserve`);
+  }
+
+  console.log(`x402: USDC balance ${formatUnits(usdcBalance, 6)} below threshold, swapping ${formatEther(config.amount)} ETH...`);
+  const { usdcReceived, txHash } = await swapEthToUsdc(wallet.privateKey, config.amount);
+  balanceCache.delete(wallet.address);
+  topUpEvents.emit('topup', { address: wallet.address, ethSwapped: config.amount, usdcReceived, txHash });
+  return true;
+}
+
+/**
+ * Make sure a wallet can pay an x402 amount, topping up USDC when configured
+ *
+ * The balance is read at most once per minute and reduced locally by each
+ * payment in between. A top-up starts once the balance after this payment
+ * would be under the threshold, and is not retried for a minute after a
+ * warning. Does nothing unless a top-up threshold is configured.
+ *
+ * A failed balance read or swap is reported as a warning, never thrown: the
+ * request itself decides whether the payment goes through.
+ *
+ * @param {Wallet} wallet - Paying wallet (needs its private key for swaps)
+ * @param {bigint} amount - Amount about to be paid, in USDC units
+ * @param {Object} [options]
+ * @param {Object} [options.topUp] - See getTopUpConfig
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ */
+async function ensureUsdcBalance(wallet, amount, options = {}) {
+  const config = getTopUpConfig(options.topUp);
+  if (!config) {
+    return;
+  }
+
+  const network = getNetwork(options);
+  let cached = balanceCache.get(wallet.address);
+  if (!cached || Date.now() - cached.fetchedAt > BALANCE_CACHE_MS) {
+    const usdc = new Contract(network.usdc.address, ABIS.ERC20, createProvider('BASE', { network }));
+    let balance;
+    try {
+      balance = await usdc.balanceOf(wallet.address);
+    } catch (e) {
+      console.warn('x402: could not read USDC balance, skipping top-up check:', e.message);
+      topUpEvents.emit('warning', { address: wallet.address, usdc: null, eth: null, reason: e.message });
+      return;
+    }
+    cached = { balance, fetchedAt: Date.now() };
+    balanceCache.set(wallet.address, cached);
+  }
+
+  // Count this payment now, so the next request sees the lower balance
+  const balance = cached.balance;
+  cached.balance -= amount;
+  if (balance - amount >= config.threshold || Date.now() - (cached.warnedAt || 0) < BALANCE_CACHE_MS) {
+    return;
+  }
+
+  topUpEvents.emit('low-balance', { address: wallet.address, usdc: balance, threshold: config.threshold });
+
+  if (!pendingTopUps.has(wallet.address)) {
+    pendingTopUps.set(wallet.address, topUp(wallet, balance, config, network)
+      .catch(e => {
+        console.warn('x402: USDC top-up failed:', e.message);
+        topUpEvents.emit('warning', { address: wallet.address, usdc: balance, eth: null, reason: e.message });
+        return false;
+      })
+      .then(swapped => {
+        if (!swapped) cached.warnedAt = Date.now();
+      })
+      .finally(() => pendingTopUps.delete(wallet.address)));
+  }
+  await pendingTopUps.get(wallet.address);
+}
+
+module.exports = { topUpEvents, getTopUpConfig, ensureUsdcBalance };
@@ -0,0 +1,137 @@
+const { Wallet, Contract, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('./config');
+const { createProvider } = require('./provider');
+const { sendTransaction } = require('./gas');
+const { waitForReceipt } = require('./receipts');
+const { signTransfer } = require('./recovery');
+const { loadCredentials, updateCredentials } = require('./credentials');
+
+/**
+ * Transfer the custody wallet's FID to a new wallet
+ *
+ * The receiving wallet must consent with an EIP-712 Transfer signature,
+ * produced here (pass `toPrivateKey`) or supplied from elsewhere, e.g. a
+ * hardware wallet (`to`, `signature`, `deadline`; see
+ * `node recovery.js sign-transfer`). With `recoveryAddress` the recovery
+ * address is changed in the same transaction (transferAndChangeRecovery).
+ *
+ * Signer keys belong to the FID and keep working after the transfer. Without
+ * `toPrivateKey` the stored entry keeps no usable custody key: commands that
+ * need one (posting pays x402 with it) take PRIVATE_KEY until the new key is
+ * stored.
+ *
+ * @param {string} privateKey - Current custody wallet private key
+ * @param {Object} options
+ * @param {string} [options.toPrivateKey] - Destination private key (signs locally)
+ * @param {string} [options.to] - Destination address (with signature/deadline)
+ * @param {string} [options.signature] - Destination's Transfer signature
+ * @param {bigint} [options.deadline] - Signature deadline
+ * @param {string} [options.recoveryAddress] - New recovery address to set atomically
+ * @param {string|Object} [options.keystore] - Key store to update with the new custody wallet
+ * @param {Object} [options.gas] - Gas policy: gasMargin, maxFeePerGas, maxPriorityFeePerGas (see gas.js)
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @returns {Promise<{fid: bigint, from: string, to: string, txHash: string}>}
+ */
+async function transferFid(privateKey, options) {
+  const network = getNetwork(options);
+  const provider = createProvider('OPTIMISM', { network });
+  const wallet = new Wallet(privateKey, provider);
+  const idRegistry = new Contract(network.contracts.ID_REGISTRY, ABIS.ID_REGISTRY, wallet);
+  const recovery = options.recoveryAddress ? getAddress(options.recoveryAddress) : null;
+
+  const fid = await idRegistry.idOf(wallet.address);
+  if (fid === 0n) {
+    throw new Error('No FID registered to this address.');
+  }
+
+  let to, signature, deadline;
+  if (options.toPrivateKey) {
+    ({ to, signature, deadline } = await signTransfer(options.toPrivateKey, fid, {
+      deadline: options.deadline,
+      recovery,
+      network
+    }));
+  } else if (options.to && options.signature && options.deadline) {
+    to = getAddress(options.to);
+    signature = options.signature;
+    deadline = BigInt(options.deadline);
+  } else {
+    throw new Error('Provide toPrivateKey, or to + signature + deadline from the destination wallet');
+  }
+
+  // Preflight: an address can only own one FID
+  if (to === wallet.address) {
+    throw new Error('Destination is the current custody address');
+  }
+  const existing = await idRegistry.idOf(to);
+  if (existing > 0n) {
+    throw new Error(`Destination ${to} already owns FID ${existing}`);
+  }
+
+  console.log('Transferring FID:', fid.toString());
+  console.log('From:', wallet.address);
+  console.log('To:', to);
+  if (recovery) console.log('New recovery address:', recovery);
+
+  const tx = recovery
+    ? await sendTransaction(idRegistry, 'transferAndChangeRecovery', [to, recovery, deadline, signature], {}, options.gas)
+    : await sendTransaction(idRegistry, 'transfer', [to, deadline, signature], {}, options.gas);
+
+  console.log('Transaction:', tx.hash);
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForReceipt(tx);
+
+  console.log('SUCCESS! FID transferred.');
+
+  const fidStr = fid.toString();
+  const stored = loadCredentials({ fid: fidStr, keystore: options.keystore });
+  if (stored) {
+    updateCredentials(fidStr, {
+      custodyAddress: to,
+      custodyPrivateKey: options.toPrivateKey || null,
+      previousCustodyAddress: stored.custodyAddress,
+      previousCustodyPrivateKey: stored.custodyPrivateKey
+    }, { keystore: options.keystore });
+    console.log('Credentials updated with new custody wallet.');
+    if (!options.toPrivateKey) {
+      console.log('New custody key is not stored. Set PRIVATE_KEY to it (or store it with updateCredentials) to post from this account.');
+    }
+  }
+
+  return { fid, from: wallet.address, to, txHash: receipt.hash };
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const recoveryIndex = args.indexOf('--recovery');
+  const recoveryAddress = recoveryIndex !== -1 ? args[recoveryIndex + 1] : undefined;
+  const [to, signature, deadline] = args.filter((a, i) => !a.startsWith('--') && (recoveryIndex === -1 || i !== recoveryIndex + 1));
+
+  const privateKey = process.env.PRIVATE_KEY;
+  const toPrivateKey = process.env.NEW_CUSTODY_PRIVATE_KEY;
+
+  if (!privateKey || (!toPrivateKey && !(to && signature && deadline))) {
+    console.log('Usage: PRIVATE_KEY=0x... NEW_CUSTODY_PRIVATE_KEY=0x... node transfer-fid.js [--recovery 0x...]');
+    console.log('   or: PRIVATE_KEY=0x... node transfer-fid.js <to> <signature> <deadline> [--recovery 0x...]');
+    console.log('\nMoves your FID to a new custody wallet. The new wallet must sign the transfer;');
+    console.log('produce its signature with: PRIVATE_KEY=0xNew... node recovery.js sign-transfer <fid> [recovery]');
+    console.log('\nOptions:');
+    console.log('  --recovery <address>  Also change the recovery address (transferAndChangeRecovery)');
+    process.exit(1);
+  }
+
+  transferFid(privateKey, { toPrivateKey, to, signature, deadline, recoveryAddress })
+    .then(({ fid, to: newCustody, txHash }) => {
+      console.log('\n=== Transfer Complete ===');
+      console.log('FID:', fid.toString());
+      console.log('New custody address:', newCustody);
+      console.log('TX:', txHash);
+    })
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { transferFid };
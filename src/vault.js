@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// Vault file format identifiers
+const VAULT_FORMAT = 'farcaster-agent-vault';
+const VAULT_VERSION = 1;
+
+// Environment variable holding the vault passphrase
+const PASSPHRASE_ENV = 'FARCASTER_CREDENTIALS_PASSPHRASE';
+
+// scrypt parameters (N=2^15 keeps derivation well under a second)
+const KDF_PARAMS = {
+  N: 32768,
+  r: 8,
+  p: 1,
+  keyLength: 32
+};
+
+/**
+ * Resolve the vault passphrase
+ * Priority: 1) Explicit option, 2) FARCASTER_CREDENTIALS_PASSPHRASE env var
+ *
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Explicit passphrase
+ * @returns {string|null}
+ */
+function getPassphrase(options = {}) {
+  return options.passphrase || process.env[PASSPHRASE_ENV] || null;
+}
+
+/**
+ * Derive a 256-bit key from a passphrase with scrypt
+ */
+function deriveKey(passphrase, salt, params = KDF_PARAMS) {
+  return crypto.scryptSync(passphrase, salt, params.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 128 * params.N * params.r * 2
+  });
+}
+
+/**
+ * Check whether a parsed JSON document is an encrypted vault
+ *
+ * @param {Object} doc - Parsed file contents
+ * @returns {boolean}
+ */
+function isVault(doc) {
+  return Boolean(doc) && doc.format === VAULT_FORMAT;
+}
+
+/**
+ * Encrypt a JSON-serializable object into a vault document
+ *
+ * Uses scrypt for key derivation and AES-256-GCM for authenticated
+ * encryption. The header (format, version, KDF and cipher params) is bound
+ * to the ciphertext as additional authenticated data, so tampering with it
+ * makes decryption fail.
+ *
+ * @param {Object} data - Plaintext object to encrypt
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Object} Vault document (write with JSON.stringify)
+ */
+function encryptVault(data, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to encrypt the credentials vault');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(passphrase, salt);
+
+  const header = {
+    format: VAULT_FORMAT,
+    version: VAULT_VERSION,
+    kdf: {
+      name: 'scrypt',
+      N: KDF_PARAMS.N,
+      r: KDF_PARAMS.r,
+      p: KDF_PARAMS.p,
+      keyLength: KDF_PARAMS.keyLength,
+      salt: salt.toString('hex')
+    },
+    cipher: {
+      name: 'aes-256-gcm',
+      iv: iv.toString('hex')
+    }
+  };
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(JSON.stringify(header)));
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(data), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    ...header,
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault document back into the stored object
+ *
+ * @param {Object} vault - Vault document as read from disk
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Object} Decrypted data
+ */
+function decryptVault(vault, passphrase) {
+  if (!isVault(vault)) {
+    throw new Error('Not a credentials vault');
+  }
+  if (vault.version !== VAULT_VERSION) {
+    throw new Error(`Unsupported vault version: ${vault.version}`);
+  }
+  if (!passphrase) {
+    throw new Error(`Credentials vault is encrypted. Set ${PASSPHRASE_ENV} or pass a passphrase.`);
+  }
+
+  const header = {
+    format: vault.format,
+    version: vault.version,
+    kdf: vault.kdf,
+    cipher: vault.cipher
+  };
+
+  const key = deriveKey(passphrase, Buffer.from(vault.kdf.salt, 'hex'), vault.kdf);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.cipher.iv, 'hex'));
+  decipher.setAAD(Buffer.from(JSON.stringify(header)));
+  decipher.setAuthTag(Buffer.from(vault.tag, 'hex'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(vault.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+  } catch (e) {
+    throw new Error('Failed to decrypt credentials vault (wrong passphrase or corrupted file)');
+  }
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  VAULT_FORMAT,
+  VAULT_VERSION,
+  PASSPHRASE_ENV,
+  getPassphrase,
+  isVault,
+  encryptVault,
+  decryptVault
+};
@@ -1,22 +1,141 @@
-const { randomBytes } = require('ethers');
-const https = require('https');
-const { NEYNAR, USDC_BASE, EIP712, EIP712_TYPES } = require('./config');
+const { randomBytes, getAddress, parseUnits, formatUnits } = require('ethers');
+const { getNetwork, EIP712_TYPES } = require('./config');
+const { httpRequest } = require('./http');
+const { recordSpend, checkBudget } = require('./ledger');
+const { ensureUsdcBalance } = require('./topup');
+
+// Validity of a payment authorization when the server does not advertise maxTimeoutSeconds
+const DEFAULT_PAYMENT_TIMEOUT_SECONDS = 3600;
+
+// Highest per-call price paid without an explicit policy: 0.01 USDC
+const DEFAULT_MAX_PAYMENT = '0.01';
+
+// Payment requirements learned from 402 responses, by origin + path
+const discoveredRequirements = new Map();
+
+// What a retried request pays with: the same authorization, or a newly signed one
+const PAYMENT_RETRY_MODES = ['reuse', 'fresh'];
 
 /**
- * Create an x402 payment header using EIP-3009 (transferWithAuthorization)
- * This allows gasless USDC payments on Base
+ * Payment requirements of the network's hub as configured, used until the
+ * server advertises its own in a 402 response
+ */
+function defaultRequirements(network) {
+  return {
+    x402Version: 1,
+    scheme: 'exact',
+    network: network.hub.x402Network,
+    asset: network.usdc.address,
+    maxAmountRequired: network.hub.paymentAmount.toString(),
+    payTo: network.hub.payTo,
+    maxTimeoutSeconds: DEFAULT_PAYMENT_TIMEOUT_SECONDS,
+    extra: { name: network.usdc.name, version: network.usdc.version }
+  };
+}
+
+/**
+ * Resolve the x402 payment policy from options and the environment
+ *
+ * - X402_MAX_PAYMENT: highest price per call, in USDC (default 0.01)
+ * - X402_ALLOWED_ASSETS: comma-separated token addresses (default the network's USDC)
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {Object} [options.policy]
+ * @param {bigint|string} [options.policy.maxAmount] - Cap in token units (bigint) or USDC (string)
+ * @param {string[]} [options.policy.allowedAssets] - Token addresses payments may be made in
+ * @param {string[]} [options.policy.allowedNetworks] - x402 network names (default the network's)
+ * @returns {{maxAmount: bigint, allowedAssets: string[], allowedNetworks: string[]}}
+ */
+function getPaymentPolicy(options = {}) {
+  const network = getNetwork(options);
+  const policy = options.policy || {};
+  const maxAmount = policy.maxAmount ?? process.env.X402_MAX_PAYMENT ?? DEFAULT_MAX_PAYMENT;
+  const allowedAssets = policy.allowedAssets ||
+    (process.env.X402_ALLOWED_ASSETS ? process.env.X402_ALLOWED_ASSETS.split(',') : [network.usdc.address]);
+
+  return {
+    maxAmount: typeof maxAmount === 'bigint' ? maxAmount : parseUnits(String(maxAmount), 6),
+    allowedAssets: allowedAssets.map(a => getAddress(a.trim())),
+    allowedNetworks: policy.allowedNetworks || [network.hub.x402Network]
+  };
+}
+
+/**
+ * Parse the payment requirements a server advertises in a 402 response
+ *
+ * @param {{status: number, data: any}} response
+ * @returns {Array<Object>} Requirements (`accepts` entries), tagged with the response's x402Version
+ */
+function parsePaymentRequirements(response) {
+  let data = response.data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      return [];
+    }
+  }
+
+  const accepts = data && Array.isArray(data.accepts) ? data.accepts : [];
+  return accepts.map(r => ({ ...r, x402Version: data.x402Version || 1 }));
+}
+
+/**
+ * Pick the cheapest advertised requirement the policy allows
+ *
+ * @param {Array<Object>} requirements - From parsePaymentRequirements
+ * @param {Object} policy - From getPaymentPolicy
+ * @returns {Object} Selected requirement
+ */
+function selectPaymentRequirements(requirements, policy) {
+  const rejected = [];
+  const allowed = requirements.filter(r => {
+    let reason = null;
+    if (r.scheme !== 'exact') {
+      reason = `scheme ${r.scheme} not supported`;
+    } else if (!policy.allowedNetworks.includes(r.network)) {
+      reason = `network ${r.network} not allowed`;
+    } else if (!r.asset || !r.payTo || !policy.allowedAssets.includes(getAddress(r.asset))) {
+      reason = `asset ${r.asset} not allowed`;
+    } else if (BigInt(r.maxAmountRequired) > policy.maxAmount) {
+      reason = `price ${formatUnits(BigInt(r.maxAmountRequired), 6)} above the maximum of ${formatUnits(policy.maxAmount, 6)}`;
+    }
+    if (reason) rejected.push(reason);
+    return !reason;
+  });
+
+  if (allowed.length === 0) {
+    throw new Error(`No acceptable x402 payment option: ${rejected.join('; ') || 'server advertised none'}`);
+  }
+
+  return allowed.reduce((a, b) => (BigInt(b.maxAmountRequired) < BigInt(a.maxAmountRequired) ? b : a));
+}
+
+/**
+ * Sign an x402 payment for a requirement
+ *
+ * @returns {Promise<{header: string, nonce: string, amount: bigint}>}
  */
-async function createX402Header(wallet) {
+async function signPayment(wallet, network, requirements) {
   const nonce = '0x' + Buffer.from(randomBytes(32)).toString('hex');
-  const validBefore = BigInt(Math.floor(Date.now() / 1000) + 3600); // 1 hour
+  const timeout = requirements.maxTimeoutSeconds || DEFAULT_PAYMENT_TIMEOUT_SECONDS;
+  const validBefore = BigInt(Math.floor(Date.now() / 1000) + timeout);
+  const value = BigInt(requirements.maxAmountRequired);
+  const extra = requirements.extra || {};
 
   const signature = await wallet.signTypedData(
-    EIP712.USDC_BASE,
+    {
+      name: extra.name || network.usdc.name,
+      version: extra.version || network.usdc.version,
+      chainId: network.chainId.BASE,
+      verifyingContract: requirements.asset
+    },
     EIP712_TYPES.TRANSFER_WITH_AUTHORIZATION,
     {
       from: wallet.address,
-      to: NEYNAR.PAY_TO,
-      value: NEYNAR.PAYMENT_AMOUNT,
+      to: requirements.payTo,
+      value,
       validAfter: 0n,
       validBefore,
       nonce
@@ -24,15 +143,15 @@ async function createX402Header(wallet) {
   );
 
   const payload = {
-    x402Version: 1,
-    scheme: 'exact',
-    network: 'base',
+    x402Version: requirements.x402Version || 1,
+    scheme: requirements.scheme,
+    network: requirements.network,
     payload: {
       signature,
       authorization: {
         from: wallet.address,
-        to: NEYNAR.PAY_TO,
-        value: NEYNAR.PAYMENT_AMOUNT.toString(),
+        to: requirements.payTo,
+        value: value.toString(),
         validAfter: '0',
         validBefore: validBefore.toString(),
         nonce
@@ -40,92 +159,160 @@ async function createX402Header(wallet) {
     }
   };
 
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
+  return { header: Buffer.from(JSON.stringify(payload)).toString('base64'), nonce, amount: value };
+}
+
+/**
+ * Create an x402 payment header using EIP-3009 (transferWithAuthorization)
+ * This allows gasless USDC payments on Base
+ *
+ * @param {Wallet} wallet - Paying wallet
+ * @param {Object} [options]
+ * @param {string|Object} [options.network] - Network profile (defaults to FARCASTER_NETWORK)
+ * @param {Object} [options.requirements] - Requirement to pay (defaults to the network's hub configuration)
+ */
+async function createX402Header(wallet, options = {}) {
+  const network = getNetwork(options);
+  const { header } = await signPayment(wallet, network, options.requirements || defaultRequirements(network));
+  return header;
 }
 
 /**
  * Make an HTTP request with x402 payment
+ *
+ * Pays what the server last asked for at this URL (initially the network's
+ * configured hub price), if the payment policy allows it; otherwise the
+ * request is first sent unpaid to learn the server's requirements. If the
+ * server answers 402 with its payment requirements, the cheapest one
+ * allowed by the policy is signed and the request retried once;
+ * requirements outside the policy throw. A payment answered with 402 was
+ * refused, not settled, so the retry does not pay twice.
+ *
+ * Every payment is appended to the spend ledger (see ledger.js), and a
+ * payment that would exceed the account's daily or monthly budget throws
+ * before anything is signed. With a top-up threshold configured, USDC is
+ * topped up from ETH first when the balance runs low (see topup.js).
+ *
+ * Connection errors, 429 and 5xx are retried (see http.js httpRequest). By
+ * default a retry resends the same authorization: its nonce can settle at
+ * most once, so an attempt the server already charged is never paid twice,
+ * but the retry may be refused. With `paymentRetry: 'fresh'` (or
+ * X402_PAYMENT_RETRY=fresh) each attempt signs a new payment, trading a
+ * possible double charge for a better chance of success.
+ *
+ * `options.baseUrl` (e.g. the network's hub URL) selects the protocol, host
+ * and port; `options.hostname` alone means HTTPS on port 443.
+ *
+ * @param {Wallet} wallet - Paying wallet
+ * @param {Object} options
+ * @param {Object} [options.policy] - Payment policy (see getPaymentPolicy)
+ * @param {Object} [options.budget] - Spend caps: daily, monthly (see ledger.js getBudget)
+ * @param {Object} [options.topUp] - USDC top-up: threshold, amount, reserve (see topup.js getTopUpConfig)
+ * @param {string} [options.paymentRetry='reuse'] - reuse or fresh
+ * @param {number} [options.timeout] - Per-attempt timeout (ms)
+ * @param {number} [options.retries] - Extra attempts on connection errors, 429 and 5xx
  */
 async function x402Request(wallet, options, body = null) {
-  const header = await createX402Header(wallet);
-
-  return new Promise((resolve, reject) => {
-    const reqOptions = {
-      ...options,
-      port: 443,
-      headers: {
-        ...options.headers,
-        'X-PAYMENT': header
-      }
+  const { baseUrl, network: networkOption, hostname, path, method, headers } = options;
+  const network = getNetwork({ network: networkOption });
+  const url = new URL(path, baseUrl || `https://${hostname}`);
+  const key = url.origin + url.pathname;
+  const paymentRetry = options.paymentRetry || process.env.X402_PAYMENT_RETRY || 'reuse';
+  if (!PAYMENT_RETRY_MODES.includes(paymentRetry)) {
+    throw new Error(`Unknown x402 payment retry mode "${paymentRetry}" (expected one of: ${PAYMENT_RETRY_MODES.join(', ')})`);
+  }
+
+  const send = async (requirements) => {
+    const amount = BigInt(requirements.maxAmountRequired);
+    // Payments signed for this request and the status of the last attempt each was sent with
+    const payments = [];
+
+    const pay = async () => {
+      // Payments not yet in the ledger count against the budget too
+      checkBudget(wallet.address, amount * BigInt(payments.length + 1), { budget: options.budget });
+      await ensureUsdcBalance(wallet, amount, { network, topUp: options.topUp });
+      payments.push({ ...(await signPayment(wallet, network, requirements)), status: null });
     };
 
-    const req = https.request(reqOptions, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve({ status: res.statusCode, data: JSON.parse(data) });
-        } catch {
-          resolve({ status: res.statusCode, data });
+    try {
+      return await httpRequest(url, {
+        method,
+        timeout: options.timeout,
+        retries: options.retries,
+        headers: async (attempt) => {
+          if (attempt === 0 || paymentRetry === 'fresh') {
+            await pay();
+          }
+          return { ...headers, 'X-PAYMENT': payments[payments.length - 1].header };
+        },
+        onAttempt: ({ status }) => {
+          payments[payments.length - 1].status = status;
         }
-      });
-    });
+      }, body);
+    } finally {
+      for (const payment of payments) {
+        record({ account: wallet.address, endpoint: url.host + url.pathname, amount: payment.amount, nonce: payment.nonce, status: payment.status });
+      }
+    }
+  };
 
-    req.on('error', reject);
+  const policy = getPaymentPolicy({ network, policy: options.policy });
+  const initial = discoveredRequirements.get(key) || defaultRequirements(network);
+  let allowed = true;
+  try {
+    selectPaymentRequirements([initial], policy);
+  } catch (e) {
+    allowed = false;
+  }
 
-    if (body) {
-      req.write(body);
-    }
-    req.end();
-  });
+  const response = allowed
+    ? await send(initial)
+    : await httpRequest(url, { method, headers, timeout: options.timeout, retries: options.retries }, body);
+  if (response.status !== 402) {
+    return response;
+  }
+
+  const advertised = parsePaymentRequirements(response);
+  if (advertised.length === 0) {
+    return response;
+  }
+
+  const requirements = selectPaymentRequirements(advertised, policy);
+  discoveredRequirements.set(key, requirements);
+  console.log(`x402: paying ${formatUnits(BigInt(requirements.maxAmountRequired), 6)} to ${requirements.payTo} as requested by ${url.host}`);
+
+  return send(requirements);
 }
 
 /**
- * Submit a message to Neynar hub with x402 payment
+ * Append to the spend ledger without letting a read-only filesystem fail the request
  */
-async function submitMessage(wallet, messageBytes) {
-  return x402Request(wallet, {
-    hostname: NEYNAR.HUB_API,
-    path: '/v1/submitMessage',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/octet-stream',
-      'Content-Length': messageBytes.length
-    }
-  }, messageBytes);
+function record(entry) {
+  try {
+    recordSpend(entry);
+  } catch (e) {
+    console.error('x402: could not write spend ledger:', e.message);
+  }
 }
 
-/**
- * Get a cast by hash from Neynar API with x402 payment
- */
-async function getCast(wallet, castHash) {
-  return x402Request(wallet, {
-    hostname: NEYNAR.API,
-    path: `/v2/farcaster/cast?identifier=${castHash}&type=hash`,
-    method: 'GET'
-  });
+// Hub calls, kept here for existing imports: these are the hub-client.js
+// functions (same arguments and results), required lazily because
+// hub-client.js itself builds on this module
+
+function submitMessage(...args) {
+  return require('./hub-client').submitMessage(...args);
 }
 
-/**
- * Check if FID is synced on Neynar hub
- */
-async function checkFidSync(wallet, address) {
-  return x402Request(wallet, {
-    hostname: NEYNAR.HUB_API,
-    path: `/v1/onChainIdRegistryEventByAddress?address=${address}`,
-    method: 'GET'
-  });
+function getCast(...args) {
+  return require('./hub-client').getCast(...args);
 }
 
-/**
- * Check signer sync status
- */
-async function checkSignerSync(wallet, fid) {
-  return x402Request(wallet, {
-    hostname: NEYNAR.HUB_API,
-    path: `/v1/onChainSignersByFid?fid=${fid}`,
-    method: 'GET'
-  });
+function checkFidSync(...args) {
+  return require('./hub-client').checkFidSync(...args);
+}
+
+function checkSignerSync(...args) {
+  return require('./hub-client').checkSignerSync(...args);
 }
 
 module.exports = {
@@ -134,5 +321,8 @@ module.exports = {
   submitMessage,
   getCast,
   checkFidSync,
-  checkSignerSync
+  checkSignerSync,
+  getPaymentPolicy,
+  parsePaymentRequirements,
+  selectPaymentRequirements
 };
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { getNetwork, CONTRACTS, NETWORKS } = require('../src/config');
+
+function withEnv(vars, fn) {
+  const saved = {};
+  for (const key of Object.keys(vars)) {
+    saved[key] = process.env[key];
+    if (vars[key] === undefined) delete process.env[key];
+    else process.env[key] = vars[key];
+  }
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(saved)) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  }
+}
+
+test('a bad network setting does not stop modules from loading', () => {
+  const result = spawnSync(process.execPath, ['-e', "require('./src'); require('./src/credentials'); require('./src/ledger')"], {
+    cwd: path.resolve(__dirname, '..'),
+    env: { ...process.env, FARCASTER_NETWORK: 'testnet', FARCASTER_CONTRACTS: '{not json' },
+    encoding: 'utf8'
+  });
+
+  assert.strictEqual(result.status, 0, result.stderr);
+});
+
+test('legacy constants are the mainnet values', () => {
+  withEnv({ FARCASTER_NETWORK: 'testnet' }, () => {
+    assert.strictEqual(CONTRACTS.ID_REGISTRY, NETWORKS.mainnet.contracts.ID_REGISTRY);
+  });
+});
+
+test('testnet only fails when a contract it lacks is used', () => {
+  const contracts = JSON.stringify({ ID_REGISTRY: '0x0000000000000000000000000000000000000001' });
+  const network = withEnv({ FARCASTER_CONTRACTS: contracts }, () => getNetwork({ network: 'testnet' }));
+
+  assert.strictEqual(network.contracts.ID_REGISTRY, '0x0000000000000000000000000000000000000001');
+  assert.strictEqual(network.eip712.ID_REGISTRY.verifyingContract, '0x0000000000000000000000000000000000000001');
+  assert.deepStrictEqual(Object.keys({ ...network.contracts }), ['ID_REGISTRY']);
+  assert.throws(() => network.contracts.BUNDLER, /Network "testnet" has no BUNDLER contract configured/);
+  assert.throws(() => network.eip712.KEY_GATEWAY, /no KEY_GATEWAY contract configured/);
+});
+
+test('unknown networks and malformed overrides are reported when resolved', () => {
+  assert.throws(() => getNetwork({ network: 'tesnet' }), /Unknown network "tesnet"/);
+  withEnv({ FARCASTER_CONTRACTS: '{not json' }, () => {
+    assert.throws(() => getNetwork({ network: 'mainnet' }), /FARCASTER_CONTRACTS is not valid JSON/);
+  });
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../src/keystore');
+const { saveCredentials, loadCredentials, updateCredentials, savePendingSigner, listCredentials } = require('../src/credentials');
+
+const account = {
+  fid: '1234',
+  custodyAddress: '0x0000000000000000000000000000000000000001',
+  custodyPrivateKey: '0x01',
+  signerPublicKey: 'aa',
+  signerPrivateKey: 'bb'
+};
+
+test('re-saving an account keeps its label, notes and derivation fields', () => {
+  const keystore = createMemoryStore();
+  saveCredentials({ ...account, label: 'main', notes: 'first agent', derivationPath: "m/44'/60'/0'/0", derivationIndex: 0 }, { keystore });
+  saveCredentials({ ...account, signerPublicKey: 'cc', signerPrivateKey: 'dd' }, { keystore });
+
+  const saved = loadCredentials({ fid: '1234', keystore });
+  assert.strictEqual(saved.signerPublicKey, 'cc');
+  assert.strictEqual(saved.label, 'main');
+  assert.strictEqual(saved.notes, 'first agent');
+  assert.strictEqual(saved.derivationPath, "m/44'/60'/0'/0");
+  assert.strictEqual(saved.derivationIndex, 0);
+});
+
+test('values passed to saveCredentials replace the stored ones', () => {
+  const keystore = createMemoryStore();
+  saveCredentials({ ...account, label: 'main' }, { keystore });
+  saveCredentials({ ...account, label: 'renamed' }, { keystore });
+
+  assert.strictEqual(loadCredentials({ fid: '1234', keystore }).label, 'renamed');
+});
+
+test('activate: false keeps the current active account', () => {
+  const keystore = createMemoryStore();
+  saveCredentials(account, { keystore, activate: false });
+  saveCredentials({ ...account, fid: '5678' }, { keystore, activate: false });
+
+  const data = keystore.read();
+  assert.strictEqual(data._active, '1234');
+  assert.ok(data['5678']);
+});
+
+test('keepTimestamps keeps the given updatedAt', () => {
+  const keystore = createMemoryStore();
+  const updatedAt = '2024-01-01T00:00:00.000Z';
+  saveCredentials({ ...account, createdAt: updatedAt, updatedAt }, { keystore, keepTimestamps: true });
+
+  const saved = loadCredentials({ fid: '1234', keystore });
+  assert.strictEqual(saved.createdAt, updatedAt);
+  assert.strictEqual(saved.updatedAt, updatedAt);
+});
+
+test('updateCredentials keeps the fields it is not given', () => {
+  const keystore = createMemoryStore();
+  saveCredentials({ ...account, label: 'main' }, { keystore });
+  updateCredentials('1234', { signerPublicKey: 'cc', revokedSigners: ['aa'] }, { keystore });
+
+  const saved = loadCredentials({ fid: '1234', keystore });
+  assert.strictEqual(saved.signerPublicKey, 'cc');
+  assert.strictEqual(saved.signerPrivateKey, 'bb');
+  assert.strictEqual(saved.label, 'main');
+  assert.deepStrictEqual(saved.revokedSigners, ['aa']);
+});
+
+test('savePendingSigner stores a new account without a signer', () => {
+  const keystore = createMemoryStore();
+  savePendingSigner({ fid: 1234n, custodyAddress: account.custodyAddress }, { signerPublicKey: 'cc', signerPrivateKey: 'dd' }, { keystore });
+
+  const saved = loadCredentials({ fid: '1234', keystore });
+  assert.strictEqual(saved.custodyAddress, account.custodyAddress);
+  assert.strictEqual(saved.signerPrivateKey, null);
+  assert.strictEqual(saved.pendingSignerPrivateKey, 'dd');
+});
+
+test('savePendingSigner keeps the current signer of a stored account', () => {
+  const keystore = createMemoryStore();
+  saveCredentials({ ...account, label: 'main' }, { keystore });
+  savePendingSigner({ fid: '1234', custodyAddress: account.custodyAddress }, { signerPublicKey: 'cc', signerPrivateKey: 'dd' }, { keystore });
+
+  const saved = loadCredentials({ fid: '1234', keystore });
+  assert.strictEqual(saved.signerPrivateKey, 'bb');
+  assert.strictEqual(saved.pendingSignerPublicKey, 'cc');
+  assert.strictEqual(saved.label, 'main');
+});
+
+test('listCredentials throws for a vault it cannot decrypt instead of listing nothing', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farcaster-credentials-'));
+  const file = path.join(dir, 'credentials.json');
+  const saved = process.env.FARCASTER_CREDENTIALS_PASSPHRASE;
+  delete process.env.FARCASTER_CREDENTIALS_PASSPHRASE;
+
+  try {
+    saveCredentials(account, { path: file, passphrase: 'correct horse' });
+    assert.strictEqual(listCredentials({ path: file, passphrase: 'correct horse' }).length, 1);
+    assert.throws(() => listCredentials({ path: file }), /Credentials vault is encrypted/);
+    assert.throws(() => listCredentials({ path: file, passphrase: 'wrong' }), /Failed to decrypt/);
+  } finally {
+    if (saved !== undefined) {
+      process.env.FARCASTER_CREDENTIALS_PASSPHRASE = saved;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,161 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { httpRequest, assertOk, HttpError } = require('../src/http');
+
+// Each test queues the responses the server gives, in order
+let responses = [];
+let requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body, at: Date.now() });
+      const next = responses.shift() || { status: 200, body: '{}' };
+      if (next.hang) return;
+      res.writeHead(next.status, next.headers || {});
+      res.end(next.body ?? '');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function serve(...list) {
+  responses = list;
+  requests = [];
+}
+
+test('JSON bodies are parsed and other bodies returned as text', async () => {
+  serve({ status: 200, body: '{"ok":true}' }, { status: 404, body: 'not found' });
+
+  assert.deepStrictEqual((await httpRequest(`${baseUrl}/a`)).data, { ok: true });
+  const missing = await httpRequest(`${baseUrl}/b`);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.data, 'not found');
+});
+
+test('5xx and 429 responses are retried until one succeeds', async () => {
+  serve({ status: 503 }, { status: 429 }, { status: 200, body: '{"ok":true}' });
+  const attempts = [];
+
+  const response = await httpRequest(`${baseUrl}/x`, { backoff: 1, onAttempt: a => attempts.push(a.status) });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(attempts, [503, 429, 200]);
+});
+
+test('the last retryable response is returned once retries run out', async () => {
+  serve({ status: 502 }, { status: 502 }, { status: 502 });
+
+  const response = await httpRequest(`${baseUrl}/x`, { retries: 1, backoff: 1 });
+  assert.strictEqual(response.status, 502);
+  assert.strictEqual(requests.length, 2);
+});
+
+test('other error statuses are not retried', async () => {
+  serve({ status: 400, body: '{"error":"bad"}' });
+
+  const response = await httpRequest(`${baseUrl}/x`, { backoff: 1 });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('Retry-After is waited for', async () => {
+  serve({ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 });
+
+  await httpRequest(`${baseUrl}/x`, { backoff: 1 });
+  assert.strictEqual(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 900, 'second attempt came too early');
+});
+
+test('a Retry-After above maxRetryAfter returns the response instead of waiting', async () => {
+  serve({ status: 503, headers: { 'Retry-After': '120' } });
+
+  const response = await httpRequest(`${baseUrl}/x`, { backoff: 1 });
+  assert.strictEqual(response.status, 503);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('POST is only retried on other failures when the caller opts in', async () => {
+  serve({ status: 503 }, { status: 200 });
+  assert.strictEqual((await httpRequest(`${baseUrl}/x`, { method: 'POST', backoff: 1 }, 'body')).status, 503);
+  assert.strictEqual(requests.length, 1);
+
+  serve({ status: 500 }, { status: 200 });
+  assert.strictEqual((await httpRequest(`${baseUrl}/x`, { method: 'POST', backoff: 1 }, 'body')).status, 500);
+  assert.strictEqual(requests.length, 1);
+
+  serve({ status: 503 }, { status: 200 });
+  assert.strictEqual((await httpRequest(`${baseUrl}/x`, { method: 'POST', retries: 1, backoff: 1 }, 'body')).status, 200);
+  assert.deepStrictEqual(requests.map(r => r.body), ['body', 'body']);
+});
+
+test('POST is retried on 429 and on 503 with Retry-After', async () => {
+  serve({ status: 429 }, { status: 503, headers: { 'Retry-After': '0' } }, { status: 200 });
+
+  assert.strictEqual((await httpRequest(`${baseUrl}/x`, { method: 'POST', backoff: 1 }, 'body')).status, 200);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('a refused POST connection is not retried by default', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(httpRequest(`http://127.0.0.1:${port}/x`, { method: 'POST', backoff: 1 }, 'body'), (err) => {
+    assert.strictEqual(err.attempts, 1);
+    return true;
+  });
+});
+
+test('header functions are called again for each attempt', async () => {
+  serve({ status: 500 }, { status: 200 });
+
+  await httpRequest(`${baseUrl}/x`, { backoff: 1, headers: attempt => ({ 'x-attempt': String(attempt) }) });
+  assert.deepStrictEqual(requests.map(r => r.headers['x-attempt']), ['0', '1']);
+});
+
+test('a timeout rejects with an ETIMEDOUT HttpError after the retries', async () => {
+  serve({ hang: true }, { hang: true });
+
+  await assert.rejects(httpRequest(`${baseUrl}/x`, { timeout: 100, retries: 1, backoff: 1 }), (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.strictEqual(err.code, 'ETIMEDOUT');
+    assert.strictEqual(err.attempts, 2);
+    return true;
+  });
+});
+
+test('a refused connection rejects with an HttpError', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  await assert.rejects(httpRequest(`http://127.0.0.1:${port}/x`, { retries: 1, backoff: 1 }), (err) => {
+    assert.strictEqual(err.code, 'ECONNREFUSED');
+    assert.strictEqual(err.attempts, 2);
+    assert.strictEqual(err.method, 'GET');
+    return true;
+  });
+});
+
+test('assertOk throws for non-2xx responses with the status and body', () => {
+  assert.deepStrictEqual(assertOk({ status: 201, data: 'ok' }, 'Upload'), { status: 201, data: 'ok' });
+  assert.throws(() => assertOk({ status: 409, data: { error: 'taken' } }, 'Fname transfer failed'), (err) => {
+    assert.ok(err instanceof HttpError);
+    assert.strictEqual(err.message, 'Fname transfer failed (409): {"error":"taken"}');
+    assert.strictEqual(err.status, 409);
+    return true;
+  });
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createFileStore } = require('../src/keystore');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farcaster-keystore-'));
+  filePath = path.join(dir, 'credentials.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('update keeps the previous version in .bak', () => {
+  const store = createFileStore({ path: filePath });
+  store.update(data => { data.a = 1; });
+  assert.ok(!fs.existsSync(filePath + '.bak'));
+
+  store.update(data => { data.b = 2; });
+  assert.deepStrictEqual(readJson(filePath + '.bak'), { a: 1 });
+  assert.deepStrictEqual(readJson(filePath), { a: 1, b: 2 });
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+});
+
+test('the lock file is released, also when the update throws', () => {
+  const store = createFileStore({ path: filePath });
+  store.update(data => { data.a = 1; });
+  assert.ok(!fs.existsSync(filePath + '.lock'));
+
+  assert.throws(() => store.update(() => { throw new Error('boom'); }), /boom/);
+  assert.ok(!fs.existsSync(filePath + '.lock'));
+  assert.deepStrictEqual(readJson(filePath), { a: 1 });
+});
+
+test('a stale lock left by a crashed writer is broken', () => {
+  const lockPath = filePath + '.lock';
+  fs.writeFileSync(lockPath, '99999');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lockPath, old, old);
+
+  createFileStore({ path: filePath }).update(data => { data.a = 1; });
+  assert.deepStrictEqual(readJson(filePath), { a: 1 });
+  assert.ok(!fs.existsSync(lockPath));
+});
+
+test('concurrent writers do not lose updates', async () => {
+  const writers = 3;
+  const increments = 5;
+  const script = `
+    const { createFileStore } = require(${JSON.stringify(path.resolve(__dirname, '../src/keystore'))});
+    const store = createFileStore({ path: ${JSON.stringify(filePath)} });
+    for (let i = 0; i < ${increments}; i++) store.update(data => { data.count = (data.count || 0) + 1; });
+  `;
+
+  await Promise.all(Array.from({ length: writers }, () => new Promise((resolve, reject) => {
+    spawn(process.execPath, ['-e', script], { stdio: 'inherit' })
+      .on('error', reject)
+      .on('exit', code => (code === 0 ? resolve() : reject(new Error(`writer exited with ${code}`))));
+  })));
+
+  assert.strictEqual(readJson(filePath).count, writers * increments);
+});
+
+test('encrypting a plaintext store leaves no plaintext backup', () => {
+  createFileStore({ path: filePath }).update(data => { data.key = '0xSECRET'; });
+  createFileStore({ path: filePath }).update(data => { data.other = 1; });
+  assert.ok(fs.readFileSync(filePath + '.bak', 'utf8').includes('0xSECRET'));
+
+  const vault = createFileStore({ path: filePath, passphrase: 'correct horse' });
+  vault.update(() => {});
+
+  assert.ok(vault.isEncrypted());
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('0xSECRET'));
+  assert.ok(!fs.readFileSync(filePath + '.bak', 'utf8').includes('0xSECRET'));
+  assert.strictEqual(createFileStore({ path: filePath + '.bak', passphrase: 'correct horse' }).read().key, '0xSECRET');
+});
+
+test('a corrupt file names the backup', () => {
+  const store = createFileStore({ path: filePath });
+  store.update(data => { data.a = 1; });
+  store.update(data => { data.b = 2; });
+  fs.writeFileSync(filePath, '{"a":');
+
+  assert.throws(() => store.read(), /is corrupt.*Previous version kept at .*credentials\.json\.bak/);
+});
@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordSpend, readLedger, getSpend, getBudget, checkBudget, summarizeSpend } = require('../src/ledger');
+
+const ACCOUNT = '0x0000000000000000000000000000000000000001';
+const OTHER_ACCOUNT = '0x0000000000000000000000000000000000000002';
+
+let dir;
+let ledgerPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farcaster-ledger-'));
+  ledgerPath = path.join(dir, 'x402-ledger.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Append an entry with a chosen timestamp
+ */
+function addEntry(fields) {
+  const entry = { account: ACCOUNT, endpoint: 'hub-api.neynar.com/v1/submitMessage', amount: '1000', nonce: '0x01', status: 200, ...fields };
+  fs.appendFileSync(ledgerPath, JSON.stringify(entry) + '\n');
+}
+
+function lastMonth() {
+  const date = new Date();
+  date.setUTCDate(0);
+  return date.toISOString();
+}
+
+test('recorded payments are read back', () => {
+  recordSpend({ account: ACCOUNT.toLowerCase(), endpoint: 'hub/x', amount: 1000n, nonce: '0x01', status: 200 }, { path: ledgerPath });
+
+  const [entry] = readLedger({ path: ledgerPath });
+  assert.strictEqual(entry.account, ACCOUNT);
+  assert.strictEqual(entry.amount, '1000');
+  assert.strictEqual(entry.status, 200);
+});
+
+test('spend sums paid entries of the account for today and this month', () => {
+  const now = new Date().toISOString();
+  addEntry({ timestamp: now, amount: '1000' });
+  addEntry({ timestamp: now, amount: '2000', status: null });
+  addEntry({ timestamp: now, amount: '4000', status: 402 });
+  addEntry({ timestamp: now, amount: '8000', account: OTHER_ACCOUNT });
+  addEntry({ timestamp: lastMonth(), amount: '16000' });
+
+  assert.deepStrictEqual(getSpend(ACCOUNT, { path: ledgerPath }), { day: 3000n, month: 3000n });
+});
+
+test('budgets are read in token units from options or USDC strings', () => {
+  assert.deepStrictEqual(getBudget({ daily: '0.5', monthly: 2000000n }), { daily: 500000n, monthly: 2000000n });
+  assert.deepStrictEqual(getBudget({ daily: '', monthly: null }), { daily: null, monthly: null });
+});
+
+test('a payment that would go over the daily budget is refused', () => {
+  addEntry({ timestamp: new Date().toISOString(), amount: '9000' });
+  const options = { path: ledgerPath, budget: { daily: 10000n } };
+
+  assert.doesNotThrow(() => checkBudget(ACCOUNT, 1000n, options));
+  assert.throws(() => checkBudget(ACCOUNT, 1001n, options), /daily budget exceeded .*spent 0.009 of 0.01 USDC/);
+  assert.doesNotThrow(() => checkBudget(OTHER_ACCOUNT, 10000n, options));
+});
+
+test('a payment that would go over the monthly budget is refused', () => {
+  addEntry({ timestamp: new Date().toISOString(), amount: '5000' });
+  addEntry({ timestamp: lastMonth(), amount: '50000' });
+  const options = { path: ledgerPath, budget: { monthly: 6000n } };
+
+  assert.doesNotThrow(() => checkBudget(ACCOUNT, 1000n, options));
+  assert.throws(() => checkBudget(ACCOUNT, 1001n, options), /monthly budget exceeded/);
+});
+
+test('the summary groups paid entries by day and endpoint', () => {
+  addEntry({ timestamp: '2026-01-01T10:00:00.000Z', amount: '1000' });
+  addEntry({ timestamp: '2026-01-01T11:00:00.000Z', amount: '1000', endpoint: 'api.neynar.com/v2' });
+  addEntry({ timestamp: '2026-01-02T10:00:00.000Z', amount: '1000', status: 402 });
+
+  const summary = summarizeSpend({ path: ledgerPath });
+  assert.strictEqual(summary.total, 2000n);
+  assert.strictEqual(summary.calls, 2);
+  assert.deepStrictEqual(summary.byDay, { '2026-01-01': { amount: 2000n, calls: 2 } });
+  assert.strictEqual(summary.byEndpoint['api.neynar.com/v2'].amount, 1000n);
+});
+
+test('unreadable lines are skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  addEntry({ timestamp: new Date().toISOString(), amount: '1000' });
+  fs.appendFileSync(ledgerPath, '{"account":"0x\n');
+  addEntry({ timestamp: new Date().toISOString(), amount: '2000' });
+
+  assert.strictEqual(readLedger({ path: ledgerPath }).length, 2);
+  assert.strictEqual(console.warn.mock.calls.length, 1);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Interface, getAddress } = require('ethers');
+const { ABIS, getNetwork } = require('../src/config');
+const { parseRegisterEvent, parseAddEvents } = require('../src/receipts');
+
+const network = getNetwork({ network: 'mainnet' });
+const idRegistry = new Interface(ABIS.ID_REGISTRY);
+const keyRegistry = new Interface(ABIS.KEY_REGISTRY);
+
+const CUSTODY = getAddress('0x00000000000000000000000000000000000000aa');
+const RECOVERY = getAddress('0x00000000000000000000000000000000000000bb');
+const KEY = '0x' + 'ab'.repeat(32);
+
+/**
+ * A log as it appears in a receipt
+ */
+function log(address, iface, event, args) {
+  return { address, ...iface.encodeEventLog(event, args) };
+}
+
+function receipt(logs) {
+  return { hash: '0x' + '11'.repeat(32), logs };
+}
+
+test('the Register event gives the new FID', () => {
+  const result = parseRegisterEvent(receipt([
+    log(network.contracts.ID_REGISTRY, idRegistry, 'Register', [CUSTODY, 1234n, RECOVERY])
+  ]), { network });
+
+  assert.strictEqual(result.fid, 1234n);
+  assert.strictEqual(result.to, CUSTODY);
+  assert.strictEqual(result.recoveryAddress, RECOVERY);
+});
+
+test('events from other contracts are ignored', () => {
+  const elsewhere = log(network.contracts.KEY_REGISTRY, idRegistry, 'Register', [CUSTODY, 1n, RECOVERY]);
+
+  assert.throws(() => parseRegisterEvent(receipt([elsewhere]), { network }), /No Register event in transaction 0x1111/);
+});
+
+test('Add events give the FID and key of every added signer', () => {
+  const second = '0x' + 'cd'.repeat(32);
+  const added = parseAddEvents(receipt([
+    log(network.contracts.ID_REGISTRY, idRegistry, 'Register', [CUSTODY, 1234n, RECOVERY]),
+    log(network.contracts.KEY_REGISTRY, keyRegistry, 'Add', [1234n, 1, KEY, KEY, 1, '0x']),
+    log(network.contracts.KEY_REGISTRY, keyRegistry, 'Add', [1234n, 1, second, second, 1, '0x'])
+  ]), { network });
+
+  assert.deepStrictEqual(added, [
+    { fid: 1234n, keyType: 1, key: 'ab'.repeat(32), metadataType: 1 },
+    { fid: 1234n, keyType: 1, key: 'cd'.repeat(32), metadataType: 1 }
+  ]);
+});
+
+test('a receipt without Add events is refused', () => {
+  const removed = log(network.contracts.KEY_REGISTRY, keyRegistry, 'Remove', [1234n, KEY, KEY]);
+
+  assert.throws(() => parseAddEvents(receipt([removed]), { network }), /No Add event/);
+});
+
+test('contract addresses come from the network profile', () => {
+  const devnet = { ...network, contracts: { ...network.contracts, ID_REGISTRY: '0x00000000000000000000000000000000000000dd' } };
+  const logs = [log(devnet.contracts.ID_REGISTRY, idRegistry, 'Register', [CUSTODY, 7n, RECOVERY])];
+
+  assert.strictEqual(parseRegisterEvent(receipt(logs), { network: devnet }).fid, 7n);
+  assert.throws(() => parseRegisterEvent(receipt(logs), { network }), /No Register event/);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { encryptVault, decryptVault, isVault, VAULT_FORMAT } = require('../src/vault');
+
+const data = { 1234: { fid: '1234', custodyPrivateKey: '0xSECRET' }, _active: '1234' };
+
+test('a vault decrypts back to the stored data', () => {
+  const vault = encryptVault(data, 'correct horse');
+
+  assert.strictEqual(vault.format, VAULT_FORMAT);
+  assert.ok(isVault(vault));
+  assert.ok(!JSON.stringify(vault).includes('0xSECRET'));
+  assert.deepStrictEqual(decryptVault(vault, 'correct horse'), data);
+});
+
+test('each encryption uses a fresh salt and IV', () => {
+  const a = encryptVault(data, 'correct horse');
+  const b = encryptVault(data, 'correct horse');
+
+  assert.notStrictEqual(a.kdf.salt, b.kdf.salt);
+  assert.notStrictEqual(a.cipher.iv, b.cipher.iv);
+  assert.notStrictEqual(a.ciphertext, b.ciphertext);
+});
+
+test('a wrong passphrase is refused', () => {
+  const vault = encryptVault(data, 'correct horse');
+
+  assert.throws(() => decryptVault(vault, 'battery staple'), /wrong passphrase or corrupted file/);
+});
+
+test('a missing passphrase is refused', () => {
+  assert.throws(() => encryptVault(data, ''), /passphrase is required/);
+  assert.throws(() => decryptVault(encryptVault(data, 'correct horse'), null), /Credentials vault is encrypted/);
+});
+
+test('tampering with the header makes decryption fail', () => {
+  const vault = encryptVault(data, 'correct horse');
+  vault.cipher = { ...vault.cipher, name: 'aes-128-gcm' };
+
+  assert.throws(() => decryptVault(vault, 'correct horse'), /wrong passphrase or corrupted file/);
+});
+
+test('plain stores and other versions are not decrypted', () => {
+  assert.ok(!isVault(data));
+  assert.throws(() => decryptVault(data, 'correct horse'), /Not a credentials vault/);
+  assert.throws(() => decryptVault({ ...encryptVault(data, 'correct horse'), version: 2 }, 'correct horse'), /Unsupported vault version/);
+});
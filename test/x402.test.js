@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getPaymentPolicy, parsePaymentRequirements, selectPaymentRequirements } = require('../src/x402');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OTHER_TOKEN = '0x0000000000000000000000000000000000000002';
+const PAY_TO = '0x0000000000000000000000000000000000000003';
+
+const option = (fields = {}) => ({
+  scheme: 'exact',
+  network: 'base',
+  asset: USDC,
+  payTo: PAY_TO,
+  maxAmountRequired: '1000',
+  ...fields
+});
+
+const policy = getPaymentPolicy({ network: 'mainnet', policy: { maxAmount: '0.01' } });
+
+test('the policy is resolved in token units', () => {
+  assert.strictEqual(policy.maxAmount, 10000n);
+  assert.deepStrictEqual(policy.allowedAssets, [USDC]);
+  assert.deepStrictEqual(policy.allowedNetworks, ['base']);
+});
+
+test('the cheapest allowed option is selected', () => {
+  const selected = selectPaymentRequirements([
+    option({ maxAmountRequired: '3000' }),
+    option({ maxAmountRequired: '500', asset: OTHER_TOKEN }),
+    option({ maxAmountRequired: '2000' })
+  ], policy);
+
+  assert.strictEqual(selected.maxAmountRequired, '2000');
+});
+
+test('asset addresses are compared case-insensitively', () => {
+  const selected = selectPaymentRequirements([option({ asset: USDC.toLowerCase() })], policy);
+
+  assert.strictEqual(selected.asset, USDC.toLowerCase());
+});
+
+test('options outside the policy are refused with the reasons', () => {
+  assert.throws(() => selectPaymentRequirements([
+    option({ scheme: 'upto' }),
+    option({ network: 'base-sepolia' }),
+    option({ asset: OTHER_TOKEN }),
+    option({ payTo: undefined }),
+    option({ maxAmountRequired: '10001' })
+  ], policy), (err) => {
+    assert.match(err.message, /^No acceptable x402 payment option/);
+    assert.match(err.message, /scheme upto not supported/);
+    assert.match(err.message, /network base-sepolia not allowed/);
+    assert.match(err.message, /asset 0x0+2 not allowed/);
+    assert.match(err.message, /price 0.010001 above the maximum of 0.01/);
+    return true;
+  });
+});
+
+test('a price equal to the maximum is allowed', () => {
+  assert.strictEqual(selectPaymentRequirements([option({ maxAmountRequired: '10000' })], policy).maxAmountRequired, '10000');
+});
+
+test('no advertised options is refused', () => {
+  assert.throws(() => selectPaymentRequirements([], policy), /server advertised none/);
+});
+
+test('402 bodies are parsed from JSON or text and tagged with the version', () => {
+  const body = { x402Version: 2, accepts: [option()] };
+
+  assert.deepStrictEqual(parsePaymentRequirements({ status: 402, data: body }), [{ ...option(), x402Version: 2 }]);
+  assert.deepStrictEqual(parsePaymentRequirements({ status: 402, data: JSON.stringify(body) }), [{ ...option(), x402Version: 2 }]);
+  assert.deepStrictEqual(parsePaymentRequirements({ status: 402, data: 'Payment required' }), []);
+});